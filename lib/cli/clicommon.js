@@ -41,7 +41,12 @@ function _ansiNoopStylize(str, _style) {
     return str;
 }
 
-function ansiStylizerFromDashdashOpts(opts) {
+/*
+ * Return a stylizer function per the `--color` and `--no-color` options (or
+ * JR_NO_COLOR envvar). If neither is given, `defaultColor` (if a boolean) is
+ * used, else colors are used if stdout is a TTY.
+ */
+function ansiStylizerFromDashdashOpts(opts, defaultColor) {
     var useStyles = null;
     opts._order.forEach(function anOpt(opt) {
         // first pass for env
@@ -59,6 +64,9 @@ function ansiStylizerFromDashdashOpts(opts) {
             useStyles = false;
         }
     });
+    if (useStyles === null && typeof defaultColor === 'boolean') {
+        useStyles = defaultColor;
+    }
     if (useStyles === null) {
         useStyles = !!process.stdout.isTTY;
     }
@@ -0,0 +1,60 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr config get KEY`
+ */
+
+var UsageError = require('cmdln').UsageError;
+var VError = require('verror');
+
+var libConfig = require('../../config');
+
+function do_get(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new UsageError('incorrect number of arguments'));
+        return;
+    }
+
+    var value;
+    try {
+        value = libConfig.getConfigValue(this.top.config, args[0]);
+    } catch (err) {
+        cb(err);
+        return;
+    }
+
+    if (value === undefined) {
+        cb(new VError('"%s" is not set', args[0]));
+    } else if (Array.isArray(value)) {
+        console.log(value.join(','));
+        cb();
+    } else {
+        console.log(String(value));
+        cb();
+    }
+}
+
+do_get.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+
+do_get.synopses = ['{{name}} {{cmd}} [OPTIONS] KEY'];
+
+do_get.help = [
+    'Get a config value.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'KEY is "defaultProfile" or "PROFILE.SETTING". This exits non-zero if',
+    'KEY is not set.'
+].join('\n');
+
+module.exports = do_get;
@@ -0,0 +1,63 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr config list`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+function do_list(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length > 0) {
+        cb(new UsageError('too many arguments'));
+        return;
+    }
+
+    var config = this.top.config;
+
+    if (opts.json) {
+        console.log(JSON.stringify(config, null, 4));
+    } else {
+        if (config.defaultProfile !== undefined) {
+            console.log('defaultProfile=%s', config.defaultProfile);
+        }
+        for (var name of Object.keys(config.profiles).sort()) {
+            var profile = config.profiles[name];
+            for (var key of Object.keys(profile).sort()) {
+                var value = profile[key];
+                console.log(
+                    '%s.%s=%s',
+                    name,
+                    key,
+                    Array.isArray(value) ? value.join(',') : value
+                );
+            }
+        }
+    }
+    cb();
+}
+
+do_list.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    }
+];
+
+do_list.aliases = ['ls'];
+
+do_list.synopses = ['{{name}} {{cmd}} [OPTIONS]'];
+
+do_list.help = ['List config values.', '', '{{usage}}', '', '{{options}}'].join(
+    '\n'
+);
+
+module.exports = do_list;
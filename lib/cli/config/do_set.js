@@ -0,0 +1,64 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr config set KEY VALUE`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+var libConfig = require('../../config');
+
+function do_set(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 2) {
+        cb(new UsageError('incorrect number of arguments'));
+        return;
+    }
+
+    var top = this.top;
+    try {
+        libConfig.setConfigValue(top.config, args[0], args[1]);
+    } catch (err) {
+        cb(err);
+        return;
+    }
+
+    libConfig.saveConfig(top.configPath, top.config, cb);
+}
+
+do_set.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+
+do_set.synopses = ['{{name}} {{cmd}} [OPTIONS] KEY VALUE'];
+
+do_set.help = [
+    'Set a config value.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'KEY is "defaultProfile" or "PROFILE.SETTING". Setting a key for a',
+    'profile that does not exist creates it. Profile settings are:'
+]
+    .concat(
+        Object.keys(libConfig.PROFILE_KEYS).map(function aKey(k) {
+            return '    ' + k + ': ' + libConfig.PROFILE_KEYS[k].help;
+        })
+    )
+    .concat([
+        '',
+        'Examples:',
+        '    jr config set manta.manifests ~/src/manta/tools/jr-manifest.json',
+        '    jr config set manta.baseDir ~/src/manta',
+        '    jr config set defaultProfile manta'
+    ])
+    .join('\n');
+
+module.exports = do_set;
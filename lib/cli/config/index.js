@@ -0,0 +1,41 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * The `jr config ...` CLI class.
+ */
+
+var Cmdln = require('cmdln').Cmdln;
+var util = require('util');
+
+// ---- CLI class
+
+function ConfigCli(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: top.name + ' config',
+        desc: [
+            'Get and set `jr` config, in "~/.jr/config.json".',
+            '',
+            'The config holds named profiles of settings. Select a profile',
+            'with `jr --profile NAME ...` (or JR_PROFILE), else the',
+            '"defaultProfile" is used. Config keys are "defaultProfile" or',
+            '"PROFILE.SETTING", e.g. "manta.baseDir".'
+        ].join('\n'),
+        helpOpts: {
+            minHelpCol: 24 // line up with option help
+        },
+        helpSubcmds: ['help', 'list', 'get', 'set']
+    });
+}
+util.inherits(ConfigCli, Cmdln);
+
+ConfigCli.prototype.init = function init(_opts, _args, _cb) {
+    this.log = this.top.log;
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+ConfigCli.prototype.do_list = require('./do_list');
+ConfigCli.prototype.do_get = require('./do_get');
+ConfigCli.prototype.do_set = require('./do_set');
+
+module.exports = ConfigCli;
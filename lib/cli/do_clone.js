@@ -10,6 +10,38 @@ var VError = require('verror');
 
 var common = require('../common');
 
+/*
+ * Ask whether to update a clone found under a repo's former name. This
+ * answers "y" without asking if `yes` is true.
+ */
+function _confirmRenameClone(formerClone, yes, cb) {
+    var actions = [];
+    if (formerClone.dir !== formerClone.newDir) {
+        actions.push(
+            format('move "%s" to "%s"', formerClone.dir, formerClone.newDir)
+        );
+    }
+    actions.push('update its origin remote');
+    var msg = format(
+        'Repo "%s" was renamed from "%s". Found a clone of "%s" at "%s".\n' +
+            '%s? [Y/n] ',
+        formerClone.repo.name,
+        formerClone.formerName,
+        formerClone.formerName,
+        formerClone.dir,
+        actions.join(' and ').replace(/^./, function upper(c) {
+            return c.toUpperCase();
+        })
+    );
+
+    if (yes) {
+        console.error(msg + 'y');
+        cb('y');
+        return;
+    }
+    common.promptYesNo({msg: msg, default: 'y'}, cb);
+}
+
 function do_clone(subcmd, opts, args, cb) {
     if (opts.help) {
         this.do_help('help', {}, [subcmd], cb);
@@ -17,7 +49,7 @@ function do_clone(subcmd, opts, args, cb) {
     }
 
     var jrm = this.jrm;
-    var baseDir = opts.dir || process.cwd();
+    var baseDir = this.getBaseDir(opts.dir);
 
     vasync.pipeline(
         {
@@ -27,7 +59,9 @@ function do_clone(subcmd, opts, args, cb) {
                     jrm.listRepos(
                         {
                             names: args,
-                            labelSelectors: opts.label
+                            labelSelectors: opts.label,
+                            query: opts.query,
+                            baseDir: baseDir
                         },
                         function onList(err, repos) {
                             if (err) {
@@ -46,6 +80,50 @@ function do_clone(subcmd, opts, args, cb) {
                         }
                     );
                 },
+                function findFormerClones(ctx, next) {
+                    jrm.findFormerClones(
+                        {repos: ctx.repos, baseDir: baseDir},
+                        function onFound(err, formerClones) {
+                            ctx.formerClones = formerClones;
+                            next(err);
+                        }
+                    );
+                },
+                function renameFormerClones(ctx, next) {
+                    vasync.forEachPipeline(
+                        {
+                            inputs: ctx.formerClones,
+                            func: function renameOne(fc, nextFc) {
+                                _confirmRenameClone(fc, opts.yes, onAnswer);
+
+                                function onAnswer(answer) {
+                                    if (answer !== 'y') {
+                                        nextFc();
+                                        return;
+                                    }
+                                    jrm.renameClone(fc, function onRename(err) {
+                                        if (err) {
+                                            // Pass.
+                                        } else if (fc.dir === fc.newDir) {
+                                            console.error(
+                                                'updated origin of clone "%s"',
+                                                fc.dir
+                                            );
+                                        } else {
+                                            console.error(
+                                                'moved clone "%s" to "%s"',
+                                                fc.dir,
+                                                fc.newDir
+                                            );
+                                        }
+                                        nextFc(err);
+                                    });
+                                }
+                            }
+                        },
+                        next
+                    );
+                },
                 function confirm(ctx, next) {
                     if (opts.yes) {
                         next();
@@ -116,23 +194,17 @@ do_clone.options = [
         names: ['yes', 'y'],
         type: 'bool',
         help: 'Assume yes for confirmations.'
-    },
-    {
-        names: ['label', 'l'],
-        type: 'arrayOfCommaSepString',
-        helpArg: 'SELECTOR',
-        help:
-            'Label selectors. Separate selectors with comma or use the ' +
-            'option multiple times. `key=value`, `key!=value`, `key` (check ' +
-            'for truthy), or `!key` (check for falsy).'
-    },
+    }
+].concat(common.getCliSelectorOptions(), [
     {
         names: ['dir', 'd'],
         type: 'string',
         helpArg: 'DIR',
-        help: 'Base directory in which to clone the repo(s).'
+        help:
+            'Base directory in which to clone the repo(s). Defaults to the ' +
+            'profile "baseDir", else the current dir.'
     }
-];
+]);
 
 do_clone.synopses = ['{{name}} {{cmd}} [OPTIONS] [REPOS...]'];
 
@@ -146,7 +218,11 @@ do_clone.help = [
     '{{options}}',
     'This will clone the selected repos to the current (or `-d DIR`) dir.',
     'REPOS is one or more repo names to which to limit, globbing is',
-    'supported. Use `-l SELECTOR` to filter by repo labels.'
+    'supported. Use `-l SELECTOR` or `-q EXPR` to filter by repo labels.',
+    '',
+    'If a repo has been renamed (see the manifest "formerNames" field) and',
+    'there is an existing clone under a former name, this offers to move',
+    'the clone to the new path and update its origin remote.'
 ].join('\n');
 
 module.exports = do_clone;
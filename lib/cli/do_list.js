@@ -5,12 +5,47 @@
  */
 
 var tabula = require('tabula');
+var UsageError = require('cmdln').UsageError;
+var util = require('util');
 var vasync = require('vasync');
 
 var common = require('../common');
 
 var columnsDefault = ['name', {lookup: 'labelsFlat', name: 'LABELS (flat)'}];
+// Columns for array fields, shown comma-separated.
+var columnFromName = {
+    manifests: {lookup: 'manifestsFlat', name: 'MANIFESTS'},
+    groups: {lookup: 'groupsFlat', name: 'GROUPS'},
+    labelSources: {lookup: 'labelSourcesFlat', name: 'LABEL SOURCES'}
+};
 var sortDefault = ['name'];
+var excludedColumnsDefault = ['name', 'reason', 'excludedAt', 'manifestPath'];
+
+/*
+ * `jr list --excluded [REPOS...]`
+ */
+function _listExclusions(jrm, opts, args, cb) {
+    if (opts.label || opts.query) {
+        cb(new UsageError('cannot use -l SELECTOR or -q EXPR with --excluded'));
+        return;
+    }
+
+    jrm.listExclusions({names: args}, function onList(err, exclusions) {
+        if (err) {
+            cb(err);
+        } else if (opts.json) {
+            common.jsonStream(exclusions);
+            cb();
+        } else {
+            tabula(exclusions, {
+                skipHeader: opts.H,
+                columns: opts.o || excludedColumnsDefault,
+                sort: opts.s
+            });
+            cb();
+        }
+    });
+}
 
 function do_list(subcmd, opts, args, cb) {
     if (opts.help) {
@@ -20,9 +55,17 @@ function do_list(subcmd, opts, args, cb) {
 
     var self = this;
     var jrm = this.jrm;
+    var baseDir = this.getBaseDir(opts.dir);
+    if (opts.excluded) {
+        _listExclusions(jrm, opts, args, cb);
+        return;
+    }
+
     var columns = columnsDefault;
     if (opts.o) {
-        columns = opts.o;
+        columns = opts.o.map(function aCol(col) {
+            return columnFromName[col] || col;
+        });
     }
 
     vasync.pipeline(
@@ -33,7 +76,9 @@ function do_list(subcmd, opts, args, cb) {
                     jrm.listRepos(
                         {
                             names: args,
-                            labelSelectors: opts.label
+                            labelSelectors: opts.label,
+                            query: opts.query,
+                            baseDir: baseDir
                         },
                         function onList(err, repos) {
                             ctx.repos = repos;
@@ -47,14 +92,26 @@ function do_list(subcmd, opts, args, cb) {
                     } else {
                         for (var repo of ctx.repos) {
                             var flat = [];
+                            var sourcesFlat = [];
                             for (var key of Object.keys(repo.labels)) {
-                                if (repo.labels[key] === true) {
-                                    flat.push(key);
-                                } else {
-                                    flat.push(key + '=' + repo.labels[key]);
-                                }
+                                var kv =
+                                    repo.labels[key] === true
+                                        ? key
+                                        : key + '=' + repo.labels[key];
+                                flat.push(kv);
+                                sourcesFlat.push(
+                                    util.format(
+                                        '%s (%s %s)',
+                                        kv,
+                                        repo.labelSources[key],
+                                        repo.labelFrom[key]
+                                    )
+                                );
                             }
                             repo.labelsFlat = flat.join(', ');
+                            repo.labelSourcesFlat = sourcesFlat.join(', ');
+                            repo.manifestsFlat = repo.manifests.join(', ');
+                            repo.groupsFlat = repo.groups.join(', ');
                         }
                         tabula(ctx.repos, {
                             skipHeader: opts.H,
@@ -87,17 +144,27 @@ do_list.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    },
-    {
-        names: ['label', 'l'],
-        type: 'arrayOfCommaSepString',
-        helpArg: 'SEL',
-        help:
-            'Label selectors. Separate selectors with comma or use the ' +
-            'option multiple times. `key=value`, `key!=value`, `key` (check ' +
-            'for truthy), or `!key` (check for falsy).'
     }
 ].concat(
+    common.getCliSelectorOptions(),
+    [
+        {
+            names: ['dir', 'd'],
+            type: 'string',
+            helpArg: 'DIR',
+            help:
+                'Base directory in which the clones exist, for the clone state ' +
+                'pseudo-labels (e.g. `@dirty`). Defaults to the profile ' +
+                '"baseDir", else the current dir.'
+        },
+        {
+            names: ['excluded', 'x'],
+            type: 'bool',
+            help:
+                'List the repos excluded by the manifests, with the reason ' +
+                '(if recorded), instead of the repos.'
+        }
+    ],
     common.getCliTableOptions({
         sortDefault: sortDefault
     })
@@ -117,13 +184,55 @@ do_list.help = [
     '{{options}}',
     'List repos defined in the configured repo manifests. By default all repos',
     'are listed. REPOS is one or more repo names to list -- globbing is',
-    'supported. Use `-l SELECTOR` to filter by repo labels.',
+    'supported, as are regular expressions of the form "/regex/flags". Use',
+    '`-l SELECTOR` to filter by repo labels.',
+    '',
+    'Use `-q EXPR` to filter by a selector expression: label selectors',
+    'combined with "&&" (and), "||" (or), "!" (not) and parentheses. `-q` and',
+    '`-l` can be used together, in which case repos must match both.',
+    '',
+    'Use `-o name,manifests` to show the manifest(s) defining each repo, and',
+    'the `@manifest=GLOB` selector to select repos by manifest path (or by',
+    'basename, if GLOB has no "/"). Use `-o name,labelSources` to show each',
+    'label value with the manifest it came from and where in that manifest:',
+    '"repo" (the repo entry), "defaults" or "group:NAME". (With `-j` these',
+    'are "labelSources" and "labelFrom".)',
+    '',
+    'Use `-o name,groups` to show the manifest "groups" of which each repo is',
+    'a member, and the `@group=NAME` selector to select repos by group.',
+    '',
+    'Use dotted `-o` fields to show parts of the structured "metadata" of',
+    'each repo, e.g. `-o name,metadata.owners`, and `@metadata.PATH`',
+    'selectors to select repos by them. An array value matches if any of its',
+    'elements match.',
+    '',
+    'Use the clone state pseudo-labels to select repos by the state of their',
+    'clones under the current (or `-d DIR`) dir: `@cloned`, `@dirty`',
+    '(uncommitted changes or untracked files), `@branch=NAME`, `@ahead` and',
+    '`@behind` (the number of commits ahead of or behind the upstream branch,',
+    'as of the last fetch), and `@has=PATH` (PATH, not a glob, exists in the',
+    'clone; also `@has!=PATH`, `in` and `notin`). These run git, so are only',
+    'checked when used.',
+    '',
+    'Use `--excluded` to list the repos in the manifests\' "excludedRepositories"',
+    'instead, with the reason and date of each exclusion, if recorded. REPOS',
+    'filters these by name, as for repos.',
     '',
     'Examples:',
     '    jr ls                           # all repos',
     '    jr ls sdc-*                     # repo names matching "sdc-*" pattern',
+    '    jr ls "/^sdc-(img|vm)api$/"     # repo names matching a regex',
     '    jr ls -l release                # repos labelled with "release"',
-    '    jr ls -l tritonservice=*api -j  # string label match, JSON output'
+    '    jr ls -l tritonservice=*api -j  # string label match, JSON output',
+    '    jr ls -l @manifest=**/manta/**  # repos in a manifest in a "manta" dir',
+    '    jr ls -l @group=manta-services  # repos in the "manta-services" group',
+    '    jr ls -o name,labelSources      # where each label value came from',
+    '    jr ls -l @metadata.owners=bob   # repos with "bob" as an owner',
+    '    jr ls -l "mg=~/[0-9]$/"         # "mg" label ending in a digit',
+    '    jr ls -l @dirty                 # repos with uncommitted changes',
+    '    jr ls -l @has=Makefile          # clones with a Makefile',
+    '    jr ls -q "(triton || manta) && !meta && lang=js"',
+    '    jr ls --excluded sdc-*          # excluded repos matching "sdc-*"'
 ].join('\n');
 
 module.exports = do_list;
@@ -11,6 +11,8 @@ var UsageError = require('cmdln').UsageError;
 var vasync = require('vasync');
 var VError = require('verror');
 
+var common = require('../common');
+
 var OUTPUT_MODES = ['default', 'json', 'raw', 'table'];
 
 function do_oneach(subcmd, opts, args, cb) {
@@ -24,7 +26,7 @@ function do_oneach(subcmd, opts, args, cb) {
 
     var self = this;
     var jrm = this.jrm;
-    var baseDir = opts.dir || process.cwd();
+    var baseDir = this.getBaseDir(opts.dir);
     var log = self.log;
     var outputMode = opts.o || 'default';
     if (OUTPUT_MODES.indexOf(outputMode) === -1) {
@@ -43,7 +45,9 @@ function do_oneach(subcmd, opts, args, cb) {
                     jrm.listRepos(
                         {
                             names: repoNames,
-                            labelSelectors: opts.label
+                            labelSelectors: opts.label,
+                            query: opts.query,
+                            baseDir: baseDir
                         },
                         function onList(err, repos) {
                             if (err) {
@@ -82,7 +86,13 @@ function do_oneach(subcmd, opts, args, cb) {
                                 // Limitation: just checking it is an existing
                                 // dir and not that it necessarily is a git
                                 // clone of the expected repo. Tough.
-                                var dir = jrm.getRepoPath(baseDir, repo.name);
+                                var dir;
+                                try {
+                                    dir = jrm.getRepoPath(baseDir, repo);
+                                } catch (pathErr) {
+                                    nextRepo(pathErr);
+                                    return;
+                                }
 
                                 fs.stat(dir, function onStat(err, _stats) {
                                     if (err && err.code === 'ENOENT') {
@@ -240,16 +250,8 @@ do_oneach.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    },
-    {
-        names: ['label', 'l'],
-        type: 'arrayOfCommaSepString',
-        helpArg: 'SELECTOR',
-        help:
-            'Label selectors. Separate selectors with comma or use the ' +
-            'option multiple times. `key=value`, `key!=value`, `key` (check ' +
-            'for truthy), or `!key` (check for falsy).'
-    },
+    }
+].concat(common.getCliSelectorOptions(), [
     {
         names: ['condition', 'c'],
         type: 'string',
@@ -263,7 +265,9 @@ do_oneach.options = [
         names: ['dir', 'd'],
         type: 'string',
         helpArg: 'DIR',
-        help: 'Base directory in which the clones exist.'
+        help:
+            'Base directory in which the clones exist. Defaults to the ' +
+            'profile "baseDir", else the current dir.'
     },
     {
         names: ['o'],
@@ -275,10 +279,11 @@ do_oneach.options = [
         names: ['concurrency'],
         type: 'positiveInteger',
         helpArg: 'NUM',
-        default: 10,
-        help: 'Number of repos to operate on concurrently. Default 10.'
+        help:
+            'Number of repos to operate on concurrently. Default 10, or the ' +
+            'profile "concurrency".'
     }
-];
+]);
 
 do_oneach.synopses = ['{{name}} {{cmd}} [OPTIONS] CMD [REPOS...]'];
 
@@ -292,8 +297,10 @@ do_oneach.help = [
     '{{options}}',
     'This will run the given CMD (a command to run) in each selected repo',
     'clone under the current (or `-d DIR`) dir. REPOS is one or more repo',
-    'names to which to limit, globbing is supported. Use `-l SELECTOR` to ',
-    'filter by repo labels.'
+    'names to which to limit, globbing is supported. Use `-l SELECTOR` or',
+    '`-q EXPR` to filter by repo labels, or by the state of the clones with',
+    'the clone state pseudo-labels, e.g. `-l @dirty` or `-l @branch=master`',
+    '(see `jr help list`).'
 ].join('\n');
 
 module.exports = do_oneach;
@@ -10,6 +10,8 @@ var UsageError = require('cmdln').UsageError;
 var vasync = require('vasync');
 var VError = require('verror');
 
+var common = require('../common');
+
 var OUTPUT_MODES = ['default', 'json', 'raw', 'table'];
 
 // See https://stackoverflow.com/a/41710011 for discussion of git fetch vs git
@@ -28,7 +30,7 @@ function do_pull(subcmd, opts, args, cb) {
 
     var self = this;
     var jrm = this.jrm;
-    var baseDir = opts.dir || process.cwd();
+    var baseDir = this.getBaseDir(opts.dir);
     var outputMode = opts.o || 'default';
     if (OUTPUT_MODES.indexOf(outputMode) === -1) {
         cb(new UsageError('invalid output mode: "' + outputMode + '"'));
@@ -51,7 +53,9 @@ function do_pull(subcmd, opts, args, cb) {
                     jrm.listRepos(
                         {
                             names: repoNames,
-                            labelSelectors: opts.label
+                            labelSelectors: opts.label,
+                            query: opts.query,
+                            baseDir: baseDir
                         },
                         function onList(err, repos) {
                             if (err) {
@@ -90,7 +94,13 @@ function do_pull(subcmd, opts, args, cb) {
                                 // Limitation: just checking it is an existing
                                 // dir and not that it necessarily is a git
                                 // clone of the expected repo. Tough.
-                                var dir = jrm.getRepoPath(baseDir, repo.name);
+                                var dir;
+                                try {
+                                    dir = jrm.getRepoPath(baseDir, repo);
+                                } catch (pathErr) {
+                                    nextRepo(pathErr);
+                                    return;
+                                }
                                 fs.stat(dir, function onStat(err, _stats) {
                                     if (err && err.code === 'ENOENT') {
                                         nextRepo();
@@ -240,21 +250,15 @@ do_pull.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    },
-    {
-        names: ['label', 'l'],
-        type: 'arrayOfCommaSepString',
-        helpArg: 'SELECTOR',
-        help:
-            'Label selectors. Separate selectors with comma or use the ' +
-            'option multiple times. `key=value`, `key!=value`, `key` (check ' +
-            'for truthy), or `!key` (check for falsy).'
-    },
+    }
+].concat(common.getCliSelectorOptions(), [
     {
         names: ['dir', 'd'],
         type: 'string',
         helpArg: 'DIR',
-        help: 'Base directory in which the clones exist.'
+        help:
+            'Base directory in which the clones exist. Defaults to the ' +
+            'profile "baseDir", else the current dir.'
     },
     {
         names: ['o'],
@@ -266,8 +270,9 @@ do_pull.options = [
         names: ['concurrency'],
         type: 'positiveInteger',
         helpArg: 'NUM',
-        default: 10,
-        help: 'Number of repos to operate on concurrently. Default 10.'
+        help:
+            'Number of repos to operate on concurrently. Default 10, or the ' +
+            'profile "concurrency".'
     },
     {
         group: ''
@@ -277,7 +282,7 @@ do_pull.options = [
         type: 'bool',
         help: 'Skip the submodules-related commands.'
     }
-];
+]);
 
 do_pull.synopses = ['{{name}} {{cmd}} [OPTIONS] [REPOS...]'];
 
@@ -297,7 +302,9 @@ do_pull.help = [
         '  # unless `-S`',
     '',
     'REPOS is one or more repo names to which to limit, globbing is supported.',
-    'Use `-l SELECTOR` to filter by repo labels.'
+    'Use `-l SELECTOR` or `-q EXPR` to filter by repo labels, or by the state',
+    'of the clones with the clone state pseudo-labels, e.g. `-l @branch=master`',
+    '(see `jr help list`).'
 ].join('\n');
 
 do_pull.aliases = ['up'];
@@ -15,16 +15,15 @@ var vasync = require('vasync');
 var VError = require('verror');
 
 var common = require('../common');
+var manifestlib = require('../manifest');
 
 var jrVersion = require('../../package.json').version;
 
-var JOYENT_REPO_BASE_URL = 'https://github.com/TritonDataCenter/';
 var DEBUG_GITHUB_REPOS_CACHE_PATH = null; // set to a local path to cache
 // DEBUG_GITHUB_REPOS_CACHE_PATH = '/tmp/ghrepos.json';
 
 function saveManifest(manifestPath, manifest, cb) {
-    var str = JSON.stringify(manifest, null, 4) + '\n';
-    fs.writeFile(manifestPath, str, 'utf8', function onSave(err) {
+    manifestlib.saveManifest(manifestPath, manifest, function onSave(err) {
         if (err) {
             cb(err);
         } else {
@@ -95,6 +94,29 @@ function do_update_manifest(subcmd, opts, args, cb) {
                     });
                 },
 
+                function determineGitHubOrg(ctx, next) {
+                    // Candidate repos come from the GitHub API, so this only
+                    // works for manifests whose repos are on GitHub.
+                    var source = manifestlib.resolveSource(ctx.manifest.source);
+                    if (source.baseUrl || source.host !== 'github.com') {
+                        next(
+                            new VError(
+                                'cannot update manifest "%s": its repos ' +
+                                    'are not on GitHub (source: %j)',
+                                manifestPath,
+                                source
+                            )
+                        );
+                        return;
+                    }
+                    ctx.githubOrg = source.org;
+                    ctx.repoBaseUrl = format(
+                        'https://github.com/%s/',
+                        source.org
+                    );
+                    next();
+                },
+
                 function fetchCandidateRepos(ctx, next) {
                     if (
                         DEBUG_GITHUB_REPOS_CACHE_PATH &&
@@ -113,7 +135,7 @@ function do_update_manifest(subcmd, opts, args, cb) {
 
                     console.log('Gathering candidate repos from GitHub.');
                     var reqOpts = octokit.repos.listForOrg.endpoint.merge({
-                        org: 'joyent',
+                        org: ctx.githubOrg,
                         type: ctx.manifest.repoCandidateSearch.type
                     });
                     octokit
@@ -194,8 +216,10 @@ function do_update_manifest(subcmd, opts, args, cb) {
                         repoFromName[repo.name] = repo;
                     }
                     var excRepoFromName = {};
-                    for (name of ctx.manifest.excludedRepositories) {
-                        excRepoFromName[name] = true;
+                    for (var entry of ctx.manifest.excludedRepositories) {
+                        excRepoFromName[
+                            manifestlib.exclusionName(entry)
+                        ] = true;
                     }
                     var candidateRepoFromName = {};
                     for (repo of ctx.candidateRepos) {
@@ -214,7 +238,8 @@ function do_update_manifest(subcmd, opts, args, cb) {
                     // Entries in manifest.excludedRepositories that are no longer
                     // in the query results.
                     ctx.goneExcRepos = [];
-                    for (name of ctx.manifest.excludedRepositories) {
+                    for (entry of ctx.manifest.excludedRepositories) {
+                        name = manifestlib.exclusionName(entry);
                         if (!candidateRepoFromName[name]) {
                             ctx.goneExcRepos.push({name: name});
                         }
@@ -285,8 +310,10 @@ function do_update_manifest(subcmd, opts, args, cb) {
                                 })
                             );
                             ctx.manifest.excludedRepositories = ctx.manifest.excludedRepositories.filter(
-                                function aName(n) {
-                                    return !goneExcRepoNames.has(n);
+                                function anEntry(entry) {
+                                    return !goneExcRepoNames.has(
+                                        manifestlib.exclusionName(entry)
+                                    );
                                 }
                             );
 
@@ -415,6 +442,7 @@ function do_update_manifest(subcmd, opts, args, cb) {
                         {
                             frontMatter: frontMatter,
                             editFilename: 'newIncludeRepos',
+                            repoBaseUrl: ctx.repoBaseUrl,
                             repos: ctx.remainingRepos,
                             parseLabels: true,
                             log: self.log
@@ -504,6 +532,7 @@ function do_update_manifest(subcmd, opts, args, cb) {
                                 /* eslint-enable max-len */
                             ],
                             repos: ctx.remainingRepos,
+                            repoBaseUrl: ctx.repoBaseUrl,
                             editFilename: 'newExcludeRepos',
                             log: self.log
                         },
@@ -514,17 +543,68 @@ function do_update_manifest(subcmd, opts, args, cb) {
                                 console.log('No new repos to exclude.');
                                 next();
                             } else {
-                                if (!ctx.manifest.excludedRepositories) {
-                                    ctx.manifest.excludedRepositories = [];
-                                }
-                                for (var repo of repos) {
-                                    ctx.manifest.excludedRepositories.push(
+                                ctx.newExcludedRepos = repos;
+                                next();
+                            }
+                        }
+                    );
+                },
+
+                function excludeNewExcludedRepos(ctx, next) {
+                    if (!ctx.newExcludedRepos) {
+                        next();
+                        return;
+                    }
+
+                    var reasonFromName = {};
+                    vasync.forEachPipeline(
+                        {
+                            inputs: ctx.newExcludedRepos,
+                            func: function promptReason(repo, nextRepo) {
+                                common.promptText(
+                                    format(
+                                        'Reason for excluding "%s" ' +
+                                            '(optional): ',
                                         repo.name
+                                    ),
+                                    function onReason(err, reason) {
+                                        reasonFromName[repo.name] = reason;
+                                        nextRepo(err);
+                                    }
+                                );
+                            }
+                        },
+                        function donePrompts(promptErr) {
+                            if (promptErr) {
+                                console.log(
+                                    '\nSkipping adding new excluded repos.'
+                                );
+                                next();
+                                return;
+                            }
+
+                            var excludedAt = new Date()
+                                .toISOString()
+                                .slice(0, 10);
+                            try {
+                                for (var repo of ctx.newExcludedRepos) {
+                                    manifestlib.excludeRepo(
+                                        ctx.manifest,
+                                        repo.name,
+                                        {
+                                            manifestPath: manifestPath,
+                                            reason:
+                                                reasonFromName[repo.name] ||
+                                                undefined,
+                                            excludedAt: excludedAt
+                                        }
                                     );
                                 }
-                                ctx.manifest.excludedRepositories.sort();
-                                saveManifest(manifestPath, ctx.manifest, next);
+                            } catch (excludeErr) {
+                                next(excludeErr);
+                                return;
                             }
+                            saveManifest(manifestPath, ctx.manifest, next);
                         }
                     );
                 }
@@ -534,16 +614,17 @@ function do_update_manifest(subcmd, opts, args, cb) {
     );
 }
 
-function createReposForm(frontMatter, repos) {
+function createReposForm(frontMatter, repos, repoBaseUrl) {
     var form = frontMatter ? frontMatter.slice() : [];
     for (var repo of repos) {
-        form.push('# ' + JOYENT_REPO_BASE_URL + repo.name);
+        form.push('# ' + repoBaseUrl + repo.name);
     }
     return form.join('\n') + '\n';
 }
 
-function parseReposForm(text, parseLabels) {
+function parseReposForm(text, repoBaseUrl, parseLabels) {
     assert.string(text, 'text');
+    assert.string(repoBaseUrl, 'repoBaseUrl');
     assert.optionalBool(parseLabels, 'parseLabels');
 
     var lines = text.split(/\n/g);
@@ -556,11 +637,9 @@ function parseReposForm(text, parseLabels) {
             // fall through
         } else if (line[0] === '#') {
             // fall through (comment)
-        } else if (
-            line.slice(0, JOYENT_REPO_BASE_URL.length) === JOYENT_REPO_BASE_URL
-        ) {
+        } else if (line.slice(0, repoBaseUrl.length) === repoBaseUrl) {
             // $BASE_URL/$name [$label1 $label2 ...]
-            var tokens = line.slice(JOYENT_REPO_BASE_URL.length).split(/\s+/g);
+            var tokens = line.slice(repoBaseUrl.length).split(/\s+/g);
             var repo = {name: tokens.shift()};
             if (parseLabels && tokens.length > 0) {
                 var labels = {};
@@ -591,8 +670,9 @@ function parseReposForm(text, parseLabels) {
                         line: i + 1
                     }
                 },
-                'line %d is not a github/joyent repo URL: "%s"',
+                'line %d is not a repo URL under "%s": "%s"',
                 i + 1,
+                repoBaseUrl,
                 line
             );
         }
@@ -606,11 +686,12 @@ function editReposInEditor(opts, cb) {
     assert.object(opts.log, 'opts.log');
     assert.optionalBool(opts.parseLabels, 'opts.parseLabels');
     assert.arrayOfObject(opts.repos, 'opts.repos');
+    assert.string(opts.repoBaseUrl, 'opts.repoBaseUrl');
     assert.optionalString(opts.editFilename, 'opts.editFilename');
 
     var frontMatter = opts.frontMatter || [];
     var editLine = frontMatter.length + 1;
-    var text = createReposForm(frontMatter, opts.repos);
+    var text = createReposForm(frontMatter, opts.repos, opts.repoBaseUrl);
 
     var editAttempt = function editAttempt() {
         common.editInEditor(
@@ -631,7 +712,11 @@ function editReposInEditor(opts, cb) {
                 var repos;
 
                 try {
-                    repos = parseReposForm(editedText, opts.parseLabels);
+                    repos = parseReposForm(
+                        editedText,
+                        opts.repoBaseUrl,
+                        opts.parseLabels
+                    );
                 } catch (parseErr) {
                     console.error('* * *\nerror: ' + parseErr.message);
                     common.promptEnter(
@@ -11,6 +11,8 @@ var vasync = require('vasync');
 var VError = require('verror');
 var version = require('../../../package.json').version;
 
+var common = require('../../common');
+
 // Print a check failure.
 function printFail(fail) {
     console.log(
@@ -74,7 +76,8 @@ function do_check(subcmd, opts, args, cb) {
                     jrm.listRepos(
                         {
                             names: repoNames,
-                            labelSelectors: opts.label
+                            labelSelectors: opts.label,
+                            query: opts.query
                         },
                         function onList(err, repos) {
                             if (err) {
@@ -82,7 +85,18 @@ function do_check(subcmd, opts, args, cb) {
                                 return;
                             }
 
-                            ctx.repos = repos;
+                            // Only GitHub-hosted repos have GitHub settings.
+                            ctx.repos = repos.filter(function onRepo(repo) {
+                                if (common.githubOwnerFromRepo(repo)) {
+                                    return true;
+                                }
+                                self.top.warn(
+                                    'Warning: skipping repo "' +
+                                        repo.name +
+                                        '": it is not hosted on GitHub'
+                                );
+                                return false;
+                            });
                             if (
                                 ctx.repos.length === 0 &&
                                 jrm.manifestPaths.length === 0
@@ -157,6 +171,7 @@ function checkBranchProtection(branchName, ctx, next) {
     assert.object(ctx.log, 'ctx.log');
     assert.object(ctx.octokit, 'ctx.octokit');
     assert.object(ctx.repo, 'ctx.repo');
+    assert.string(ctx.owner, 'ctx.owner');
     assert.arrayOfObject(ctx.checkFailures, 'ctx.checkFailures');
     assert.arrayOfObject(ctx.checkWarnings, 'ctx.checkWarnings');
     assert.arrayOfString(ctx.optionalBranches, 'ctx.optionalBranches');
@@ -215,7 +230,7 @@ function checkBranchProtection(branchName, ctx, next) {
     //     "contexts": ["continuous-integration/jenkins/pr-head"],
     ctx.octokit.repos
         .getBranchProtection({
-            owner: 'joyent',
+            owner: ctx.owner,
             repo: ctx.repo.name,
             branch: branchName
         })
@@ -312,7 +327,7 @@ function checkBranchProtection(branchName, ctx, next) {
                             cause: err,
                             code: err.status,
                             info: {
-                                repo: 'joyent/' + ctx.repo.name
+                                repo: ctx.owner + '/' + ctx.repo.name
                             }
                         },
                         'error calling GitHub API'
@@ -329,6 +344,7 @@ function checkRepo(opts, cb) {
         log: opts.log,
         octokit: opts.octokit,
         repo: opts.repo,
+        owner: common.githubOwnerFromRepo(opts.repo),
         optionalBranches: ['mantav1']
     };
 
@@ -361,17 +377,8 @@ do_check.options = [
         names: ['help', 'h'],
         type: 'bool',
         help: 'Show this help.'
-    },
-    {
-        names: ['label', 'l'],
-        type: 'arrayOfCommaSepString',
-        helpArg: 'SELECTOR',
-        help:
-            'Label selectors. Separate selectors with comma or use the ' +
-            'option multiple times. `key=value`, `key!=value`, `key` (check ' +
-            'for truthy), or `!key` (check for falsy).'
     }
-];
+].concat(common.getCliSelectorOptions());
 
 do_check.synopses = ['{{name}} {{cmd}} [OPTIONS] [REPOS...]'];
 
@@ -12,6 +12,9 @@ var vasync = require('vasync');
 var VError = require('verror');
 var version = require('../../../package.json').version;
 
+var common = require('../../common');
+var manifestlib = require('../../manifest');
+
 function getBranchProtection(branchName, ctx, next) {
     assert.string(branchName, 'branchName');
     assert.object(ctx.octokit, 'ctx.octokit');
@@ -26,7 +29,7 @@ function getBranchProtection(branchName, ctx, next) {
 
     octokit.repos
         .getBranchProtection({
-            owner: 'joyent',
+            owner: ctx.owner,
             repo: repoName,
             branch: branchName
         })
@@ -54,7 +57,7 @@ function getBranchProtection(branchName, ctx, next) {
                             cause: err,
                             code: err.status,
                             info: {
-                                repo: 'joyent/' + repoName
+                                repo: ctx.owner + '/' + repoName
                             }
                         },
                         'error calling GitHub API'
@@ -141,9 +144,9 @@ function updateBranchProtection(branchName, ctx, next) {
             ctx.unlockUsers.join(', ') +
             ' to push to "%s" ' +
             'branch of %s ' +
-            '(https://github.com/TritonDataCenter/%s/settings/branches)';
+            '(https://github.com/%s/%s/settings/branches)';
         reqOpts = {
-            owner: 'joyent',
+            owner: ctx.owner,
             repo: repoName,
             branch: branchName,
 
@@ -177,9 +180,9 @@ function updateBranchProtection(branchName, ctx, next) {
         lockMessage =
             'Applying standard branch protection ' +
             'rules to "%s" branch on repo "%s" ' +
-            '(https://github.com/TritonDataCenter/%s/settings/branches)';
+            '(https://github.com/%s/%s/settings/branches)';
         reqOpts = {
-            owner: 'joyent',
+            owner: ctx.owner,
             repo: repoName,
             branch: branchName,
             enforce_admins: true,
@@ -215,7 +218,7 @@ function updateBranchProtection(branchName, ctx, next) {
     octokit.repos
         .updateBranchProtection(reqOpts)
         .then(function(res) {
-            console.log(lockMessage, branchName, repoName, repoName);
+            console.log(lockMessage, branchName, repoName, ctx.owner, repoName);
             next();
         })
         .catch(function(err) {
@@ -322,6 +325,19 @@ function do_set_branch_protection(subcmd, opts, args, cb) {
                     ctx.changeRequired = {};
                     ctx.missingBranch = {};
                     ctx.repoName = repoName;
+                    ctx.owner = manifestlib.DEFAULT_SOURCE.org;
+                    if (ctx.repos.length > 0) {
+                        ctx.owner = common.githubOwnerFromRepo(ctx.repos[0]);
+                        if (!ctx.owner) {
+                            next(
+                                new VError(
+                                    'repo "%s" is not hosted on GitHub',
+                                    repoName
+                                )
+                            );
+                            return;
+                        }
+                    }
                     ctx.octokit = octokit;
                     ctx.log = self.log;
                     next();
@@ -17,14 +17,19 @@ var util = require('util');
 var vasync = require('vasync');
 
 var common = require('../common');
+var libConfig = require('../config');
 var clicommon = require('./clicommon');
 var libJr = require('../');
+var selectorlib = require('../selector');
 
 // ---- globals
 
 var packageJson = require('../../package.json');
 
 var CACHE_DIR = '~/.jr/cache';
+var CONFIG_PATH = '~/.jr/config.json';
+var GIT_CACHE_DIR = '~/.jr/manifests';
+var LOCAL_LABELS_PATH = '~/.jr/labels.json';
 
 var OPTIONS = [
     {
@@ -42,12 +47,35 @@ var OPTIONS = [
         type: 'bool',
         help: 'Verbose/debug output.'
     },
+    {
+        names: ['profile', 'p'],
+        type: 'string',
+        helpArg: 'NAME',
+        env: 'JR_PROFILE',
+        help:
+            'The profile (in "' +
+            CONFIG_PATH +
+            '") to use. Defaults to the config "defaultProfile", if any.'
+    },
     {
         names: ['manifest', 'm'],
         type: 'arrayOfCommaSepString',
         helpArg: 'PATH',
         env: 'JR_MANIFESTS',
-        help: 'Repo manifest paths (comma-separated).'
+        help:
+            'Repo manifest paths (comma-separated). A path may also be a ' +
+            'git source: "git+URL#REF:PATH".'
+    },
+    {
+        names: ['label-conflicts'],
+        type: 'string',
+        helpArg: 'POLICY',
+        env: 'JR_LABEL_CONFLICTS',
+        help:
+            'How to handle a repo label given different values by ' +
+            'different manifests. One of "' +
+            libJr.LABEL_CONFLICT_POLICIES.join('", "') +
+            '". Default "error".'
     },
     {
         names: ['color'],
@@ -73,6 +101,40 @@ function parseCommaSepStringNoEmpties(_option, _optstr, arg) {
         });
 }
 
+/*
+ * Split a `-l SELECTOR` option arg into label selectors at commas, other than
+ * commas in the parenthesized value sets of `in` and `notin` selectors, e.g.
+ * "public,tritonservice in (imgapi, papi)", or in the values of regex
+ * selectors, e.g. "mg=~/^[a-z]{2,4}$/".
+ */
+function parseLabelSelectorsArg(_option, _optstr, arg) {
+    var selectors = [];
+    var depth = 0;
+    var start = 0;
+    for (var i = 0; i < arg.length; i++) {
+        var reEnd = selectorlib.regexOperandEnd(arg, i);
+        if (reEnd !== -1) {
+            i = reEnd - 1;
+        } else if (arg[i] === '(') {
+            depth++;
+        } else if (arg[i] === ')') {
+            depth--;
+        } else if (arg[i] === ',' && depth === 0) {
+            selectors.push(arg.slice(start, i));
+            start = i + 1;
+        }
+    }
+    selectors.push(arg.slice(start));
+
+    return selectors
+        .map(function trimSelector(selector) {
+            return selector.trim();
+        })
+        .filter(function onSelector(selector) {
+            return selector;
+        });
+}
+
 cmdln.dashdash.addOptionType({
     name: 'commaSepString',
     takesArg: true,
@@ -89,6 +151,15 @@ cmdln.dashdash.addOptionType({
     arrayFlatten: true
 });
 
+cmdln.dashdash.addOptionType({
+    name: 'arrayOfLabelSelector',
+    takesArg: true,
+    helpArg: 'SELECTOR',
+    parseArg: parseLabelSelectorsArg,
+    array: true,
+    arrayFlatten: true
+});
+
 // ---- CLI class
 
 function JoyentReposCli() {
@@ -98,9 +169,9 @@ function JoyentReposCli() {
             'List, clone, maintain, and use Joyent repos.',
             '',
             'This is a command to work with a set of repos defined by one or',
-            'more manifests (typically called "jr-manifest.json"). Currently',
-            'the tool assumes all repos are Joyent repos on GitHub. See',
-            'https://github.com/TritonDataCenter/joyent-repos for setup',
+            'more manifests (typically called "jr-manifest.json"). By default',
+            'repos are assumed to be on GitHub under the TritonDataCenter org.',
+            'See https://github.com/TritonDataCenter/joyent-repos for setup',
             'details and an introduction.'
         ].join('\n'),
         options: OPTIONS,
@@ -111,9 +182,12 @@ function JoyentReposCli() {
         helpSubcmds: [
             'help',
             'completion',
+            'config',
 
             {group: 'Manifest maintenance'},
             'update-manifest',
+            'manifest',
+            'label',
 
             {group: 'Use repo manifest info'},
             'list',
@@ -152,17 +226,58 @@ JoyentReposCli.prototype.init = function init(opts, args, callback) {
         return;
     }
 
-    this.stylize = clicommon.ansiStylizerFromDashdashOpts(this.opts);
+    // Settings come from CLI options and envvars, then from the selected
+    // profile in the config file, then defaults.
+    this.configPath = common.tildeSync(CONFIG_PATH);
+    try {
+        this.config = libConfig.loadConfigSync(this.configPath);
+        this.profile = libConfig.getProfile(this.config, opts.profile);
+    } catch (configErr) {
+        callback(configErr);
+        return;
+    }
+    this.log.trace({profile: this.profile}, 'profile');
+
+    this.stylize = clicommon.ansiStylizerFromDashdashOpts(
+        this.opts,
+        this.profile.color
+    );
 
     var manifestPaths = [];
-    for (var p of opts.manifest || []) {
+    for (var p of opts.manifest || this.profile.manifests || []) {
         manifestPaths.push(common.tildeSync(p));
     }
     this.log.trace({manifestPaths: manifestPaths}, 'manifestPaths');
+    if (
+        opts.label_conflicts &&
+        libJr.LABEL_CONFLICT_POLICIES.indexOf(opts.label_conflicts) === -1
+    ) {
+        callback(
+            new cmdln.UsageError(
+                util.format(
+                    'invalid label conflict policy: "%s" (must be one ' +
+                        'of "%s")',
+                    opts.label_conflicts,
+                    libJr.LABEL_CONFLICT_POLICIES.join('", "')
+                )
+            )
+        );
+        return;
+    }
     this.jrm = libJr.createJoyentReposManager({
         manifestPaths: manifestPaths,
+        gitCacheDir: common.tildeSync(GIT_CACHE_DIR),
+        localLabelsPath: common.tildeSync(LOCAL_LABELS_PATH),
+        labelConflictPolicy: opts.label_conflicts,
+        repoPathTemplate: this.profile.repoPathTemplate,
+        cloneProtocol: this.profile.cloneProtocol,
+        concurrency: this.profile.concurrency,
         log: this.log
     });
+    var self = this;
+    this.jrm.on('warning', function onWarning(msg) {
+        self.warn('Warning: ' + msg);
+    });
 
     if (process.env.JR_COMPLETE) {
         /*
@@ -311,13 +426,30 @@ JoyentReposCli.prototype.warnUnconfigured = function warnUnconfigured() {
         ].join('\n')
     );
 };
+/*
+ * The base dir for repo clones: the given `-d DIR` option, else the profile
+ * "baseDir", else the current dir.
+ */
+JoyentReposCli.prototype.getBaseDir = function getBaseDir(dirOpt) {
+    if (dirOpt) {
+        return dirOpt;
+    } else if (this.profile.baseDir) {
+        return common.tildeSync(this.profile.baseDir);
+    } else {
+        return process.cwd();
+    }
+};
+
 JoyentReposCli.prototype.warn = function warn(msg) {
     console.error(this.stylize(msg, 'red'));
 };
 
 JoyentReposCli.prototype.do_completion = require('./do_completion');
+JoyentReposCli.prototype.do_config = require('./config/index.js');
 
 JoyentReposCli.prototype.do_update_manifest = require('./do_update_manifest');
+JoyentReposCli.prototype.do_manifest = require('./manifest/index.js');
+JoyentReposCli.prototype.do_label = require('./label/index.js');
 
 JoyentReposCli.prototype.do_list = require('./do_list');
 JoyentReposCli.prototype.do_clone = require('./do_clone');
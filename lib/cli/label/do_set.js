@@ -0,0 +1,96 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr label set [REPOS...] KEY=VALUE...`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+var common = require('../../common');
+
+function do_set(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    // Repo names cannot include "=", so KEY=VALUE args are distinguished
+    // from REPO args by that.
+    var names = [];
+    var setLabels = {};
+    for (var arg of args) {
+        if (arg.indexOf('=') === -1) {
+            names.push(arg);
+            continue;
+        }
+        var kv;
+        try {
+            kv = common.parseKeyValue(arg, null, {failOnEmptyValue: true});
+        } catch (parseErr) {
+            cb(new UsageError(parseErr, parseErr.message));
+            return;
+        }
+        setLabels[kv.key] = kv.value;
+    }
+    if (Object.keys(setLabels).length === 0) {
+        cb(new UsageError('missing KEY=VALUE argument'));
+        return;
+    }
+
+    this.updateLabels(
+        {
+            names: names,
+            labelSelectors: opts.label,
+            query: opts.query,
+            setLabels: setLabels,
+            local: this.opts.local,
+            dryRun: opts.dry_run
+        },
+        cb
+    );
+}
+
+do_set.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+].concat(common.getCliSelectorOptions(), [
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Show the changes that would be made, but do not save them.'
+    }
+]);
+
+do_set.synopses = ['{{name}} {{cmd}} [OPTIONS] [REPOS...] KEY=VALUE...'];
+
+do_set.completionArgtypes = ['jrrepo'];
+
+do_set.help = [
+    'Set labels on repos.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'Repos are selected by REPOS names (globbing is supported), `-l SELECTOR`',
+    'and/or `-q EXPR`. VALUE is converted to a boolean or number where that',
+    'parses, e.g. "true" or "42", unless the label is a blessed label of type',
+    '"string".',
+    '',
+    'A label is set in the manifest from which its current value comes, else',
+    'in the first manifest defining the repo. A label set to the value in the',
+    'manifest "defaults" is removed from the repo entry. Changed manifests are',
+    'written in canonical format (see `jr manifest fmt`). Your local labels',
+    'file is not changed, unless `jr label --local set` is used (see',
+    '`jr label help`), in which case only it is changed.',
+    '',
+    'Examples:',
+    '    jr label set sdc-imgapi tritonservice=imgapi',
+    '    jr label set -l tritonservice=*api public=true',
+    '    jr label --local set sdc-imgapi mine=true   # just for you',
+    '    jr label --local set my-private-repo mine=true'
+].join('\n');
+
+module.exports = do_set;
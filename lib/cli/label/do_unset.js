@@ -0,0 +1,72 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr label unset [REPOS...] KEY`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+var common = require('../../common');
+
+function do_unset(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length < 1) {
+        cb(new UsageError('missing KEY argument'));
+        return;
+    }
+
+    this.updateLabels(
+        {
+            names: args.slice(0, -1),
+            labelSelectors: opts.label,
+            query: opts.query,
+            unsetLabels: [args[args.length - 1]],
+            local: this.opts.local,
+            dryRun: opts.dry_run
+        },
+        cb
+    );
+}
+
+do_unset.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+].concat(common.getCliSelectorOptions(), [
+    {
+        names: ['dry-run', 'n'],
+        type: 'bool',
+        help: 'Show the changes that would be made, but do not save them.'
+    }
+]);
+
+do_unset.synopses = ['{{name}} {{cmd}} [OPTIONS] [REPOS...] KEY'];
+
+do_unset.completionArgtypes = ['jrrepo'];
+
+do_unset.help = [
+    'Unset a label on repos.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'Repos are selected by REPOS names (globbing is supported), `-l SELECTOR`',
+    'and/or `-q EXPR`. The label is removed from the repo entry in every',
+    'manifest defining the repo. A label set by a manifest "defaults" or',
+    '"groups" entry cannot be unset (set it to another value instead).',
+    'Changed manifests are written in canonical format (see `jr manifest',
+    'fmt`). Your local labels file is not changed, unless',
+    '`jr label --local unset` is used (see `jr label help`), in which case',
+    'only it is changed.',
+    '',
+    'Examples:',
+    '    jr label unset sdc-imgapi tritonservice',
+    '    jr label unset -l meta public',
+    '    jr label --local unset sdc-imgapi mine'
+].join('\n');
+
+module.exports = do_unset;
@@ -0,0 +1,200 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * The `jr label ...` CLI class.
+ */
+
+var Cmdln = require('cmdln').Cmdln;
+var util = require('util');
+var vasync = require('vasync');
+var VError = require('verror');
+
+var selectorlib = require('../../selector');
+
+// ---- CLI class
+
+function LabelCli(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: top.name + ' label',
+        desc: [
+            'Set and unset repo labels, by rewriting the manifests that define',
+            'the repos.',
+            '',
+            'With `--local`, labels are instead set and unset in your local',
+            'labels file ("~/.jr/labels.json"). This is a manifest merged on',
+            'top of the configured manifests, for you only: its label values',
+            'override theirs. It can also define repos of its own: a REPO not',
+            'in any manifest is added to it by `jr label --local set`.'
+        ].join('\n'),
+        options: [
+            {
+                names: ['help', 'h'],
+                type: 'bool',
+                help: 'Show this help.'
+            },
+            {
+                name: 'local',
+                type: 'bool',
+                help: 'Edit your local labels file instead of the manifests.'
+            }
+        ],
+        helpOpts: {
+            minHelpCol: 24 // line up with option help
+        },
+        helpSubcmds: ['help', 'set', 'unset']
+    });
+}
+util.inherits(LabelCli, Cmdln);
+
+LabelCli.prototype.init = function init(_opts, _args, _cb) {
+    this.log = this.top.log;
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+/*
+ * Select repos by name and/or label selectors, update their labels and print
+ * a summary of the changes. With `opts.local`, the local labels file is
+ * updated instead (see `JoyentReposManager.updateRepoLabels`).
+ */
+LabelCli.prototype.updateLabels = function updateLabels(opts, cb) {
+    var jrm = this.top.jrm;
+
+    if (opts.names.length === 0 && !opts.labelSelectors && !opts.query) {
+        cb(
+            new VError(
+                'no repos given: use REPO arguments, `-l SELECTOR` or ' +
+                    '`-q EXPR`'
+            )
+        );
+        return;
+    }
+
+    vasync.pipeline(
+        {
+            arg: {},
+            funcs: [
+                function selectRepos(ctx, next) {
+                    jrm.listRepos(
+                        {
+                            names: opts.names,
+                            labelSelectors: opts.labelSelectors,
+                            query: opts.query
+                        },
+                        function onList(err, repos) {
+                            if (err) {
+                                next(err);
+                                return;
+                            }
+                            if (opts.local && opts.setLabels) {
+                                _addNewLocalRepos(repos, opts);
+                            }
+                            if (repos.length === 0) {
+                                next(
+                                    new VError(
+                                        'REPO and SELECTOR args matched ' +
+                                            'no repos'
+                                    )
+                                );
+                            } else {
+                                ctx.repos = repos;
+                                next();
+                            }
+                        }
+                    );
+                },
+                function updateThem(ctx, next) {
+                    jrm.updateRepoLabels(
+                        {
+                            repos: ctx.repos,
+                            setLabels: opts.setLabels,
+                            unsetLabels: opts.unsetLabels,
+                            local: opts.local,
+                            dryRun: opts.dryRun
+                        },
+                        function onUpdate(err, changes) {
+                            ctx.changes = changes;
+                            next(err);
+                        }
+                    );
+                },
+                function printSummary(ctx, next) {
+                    if (ctx.changes.length === 0) {
+                        console.log('No label changes.');
+                        next();
+                        return;
+                    }
+
+                    var manifestPaths = [];
+                    for (var change of ctx.changes) {
+                        if (manifestPaths.indexOf(change.manifestPath) === -1) {
+                            manifestPaths.push(change.manifestPath);
+                        }
+                        console.log(
+                            '%s: %s: %s: %s -> %s',
+                            change.manifestPath,
+                            change.repo,
+                            change.label,
+                            _fmtValue(change.oldValue),
+                            _fmtValue(change.newValue)
+                        );
+                    }
+                    console.log(
+                        '%s %d label change(s) in %d manifest(s).',
+                        opts.dryRun ? 'Would make' : 'Made',
+                        ctx.changes.length,
+                        manifestPaths.length
+                    );
+                    next();
+                }
+            ]
+        },
+        function doneUpdate(err) {
+            cb(err);
+        }
+    );
+};
+
+/*
+ * Setting labels on a REPO arg that is not a known repo (and not a glob or
+ * regex) in the local labels file adds that repo to it. Such a repo starts
+ * without any labels or manifests.
+ */
+function _addNewLocalRepos(repos, opts) {
+    if (opts.labelSelectors || opts.query) {
+        return;
+    }
+    var knownNames = new Set();
+    for (var repo of repos) {
+        knownNames.add(repo.name);
+        for (var formerName of repo.formerNames || []) {
+            knownNames.add(formerName);
+        }
+    }
+
+    for (var name of opts.names) {
+        if (/[*?[\]{}!]/.test(name) || selectorlib.isRegexLiteral(name)) {
+            continue;
+        }
+        name = name.replace(/\/$/, '');
+        if (!knownNames.has(name)) {
+            knownNames.add(name);
+            repos.push({
+                name: name,
+                labels: {},
+                manifests: [],
+                labelSources: {},
+                local: true
+            });
+        }
+    }
+}
+
+function _fmtValue(value) {
+    return value === undefined ? '(unset)' : JSON.stringify(value);
+}
+
+LabelCli.prototype.do_set = require('./do_set');
+LabelCli.prototype.do_unset = require('./do_unset');
+
+module.exports = LabelCli;
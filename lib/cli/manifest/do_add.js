@@ -0,0 +1,99 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest add [-f MANIFEST] REPO [KEY=VALUE...]`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+var common = require('../../common');
+var manifestlib = require('../../manifest');
+
+function do_add(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length < 1) {
+        cb(new UsageError('missing REPO argument'));
+        return;
+    }
+
+    var manifestPath;
+    var labels = {};
+    try {
+        manifestPath = this.getEditManifestPath(opts.file);
+        for (var arg of args.slice(1)) {
+            var kv = common.parseKeyValue(arg, null, {failOnEmptyValue: true});
+            labels[kv.key] = kv.value;
+        }
+    } catch (err) {
+        cb(err);
+        return;
+    }
+    var repoName = args[0];
+
+    manifestlib.editManifest(
+        manifestPath,
+        function addIt(manifest) {
+            manifestlib.addRepo(manifest, repoName, {
+                manifestPath: manifestPath,
+                move: opts.move
+            });
+            for (var label of Object.keys(labels)) {
+                manifestlib.applyLabelChange(
+                    manifestPath,
+                    manifest,
+                    repoName,
+                    label,
+                    labels[label]
+                );
+            }
+        },
+        function onEdit(err) {
+            if (!err) {
+                console.log('Added repo "%s" to "%s".', repoName, manifestPath);
+            }
+            cb(err);
+        }
+    );
+}
+
+do_add.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['file', 'f'],
+        type: 'string',
+        helpArg: 'MANIFEST',
+        help:
+            'The manifest file to edit. Required unless there is only one ' +
+            'configured manifest.'
+    },
+    {
+        names: ['move'],
+        type: 'bool',
+        help: 'Move the repo from "excludedRepositories", if it is there.'
+    }
+];
+
+do_add.synopses = ['{{name}} {{cmd}} [OPTIONS] REPO [KEY=VALUE...]'];
+
+do_add.help = [
+    'Add a repo to a manifest.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'This adds REPO, with the given labels, to the manifest "repositories".',
+    'It is an error if REPO is already in the manifest, including in',
+    '"excludedRepositories" (unless `--move` is used). Labels are handled as',
+    'for `jr label set`. The manifest is written in canonical format.',
+    '',
+    'Examples:',
+    '    jr manifest add -f tools/jr-manifest.json sdc-foo tritonservice=foo'
+].join('\n');
+
+module.exports = do_add;
@@ -0,0 +1,123 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest blame REPO`
+ */
+
+var tabula = require('tabula');
+var UsageError = require('cmdln').UsageError;
+
+var common = require('../../common');
+
+var columnsDefault = [
+    {lookup: 'shortDate', name: 'DATE'},
+    {lookup: 'shortCommit', name: 'COMMIT'},
+    'author',
+    'change',
+    'subject'
+];
+
+function _fmtValue(value) {
+    return value === undefined ? '(unset)' : JSON.stringify(value);
+}
+
+function do_blame(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length !== 1) {
+        cb(new UsageError('incorrect number of args: expected REPO'));
+        return;
+    }
+
+    var jrm = this.top.jrm;
+    if (jrm.manifestPaths.length === 0) {
+        this.top.warnUnconfigured();
+        cb();
+        return;
+    }
+
+    jrm.blameRepo({name: args[0]}, function onBlame(err, events) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (opts.json) {
+            common.jsonStream(events);
+            cb();
+            return;
+        }
+
+        var manifestPaths = [];
+        for (var ev of events) {
+            if (manifestPaths.indexOf(ev.manifestPath) === -1) {
+                manifestPaths.push(ev.manifestPath);
+            }
+            ev.shortDate = ev.date.slice(0, 10);
+            ev.shortCommit = ev.commit.slice(0, 10);
+            if (ev.event === 'label') {
+                ev.change =
+                    'label ' +
+                    ev.label +
+                    ': ' +
+                    _fmtValue(ev.oldValue) +
+                    ' -> ' +
+                    _fmtValue(ev.newValue);
+            } else {
+                ev.change = ev.event;
+            }
+        }
+
+        var columns = opts.o;
+        if (!columns) {
+            columns = columnsDefault;
+            // Only show the manifest if the events are from more than one.
+            if (manifestPaths.length > 1) {
+                columns = columns.concat(['manifestPath']);
+            }
+        }
+
+        if (events.length === 0) {
+            console.log('No history for repo "%s".', args[0]);
+        } else {
+            tabula(events, {
+                skipHeader: opts.H,
+                columns: columns,
+                sort: opts.s,
+                dottedLookup: true
+            });
+        }
+        cb();
+    });
+}
+
+do_blame.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+].concat(common.getCliTableOptions({}));
+
+do_blame.synopses = ['{{name}} {{cmd}} [OPTIONS] REPO'];
+
+do_blame.completionArgtypes = ['jrrepo', 'none'];
+
+do_blame.help = [
+    'Show the git history of a repo in the repo manifests.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'This walks the git history of each manifest (a file in a git working',
+    'copy, or a git source) and lists the commits in which REPO was added to',
+    'or removed from "repositories", was excluded or unexcluded, and in which',
+    'each of its label values changed (including via "defaults"), oldest',
+    'first. Uncommitted changes are not included.',
+    '',
+    'Fields for "-o": date, commit, author, subject, change, event, label,',
+    'oldValue, newValue, manifestPath.'
+].join('\n');
+
+module.exports = do_blame;
@@ -0,0 +1,105 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest conflicts`
+ */
+
+var tabula = require('tabula');
+var UsageError = require('cmdln').UsageError;
+var VError = require('verror');
+
+var common = require('../../common');
+
+var columnsDefault = [
+    'repo',
+    'label',
+    {lookup: 'first.value', name: 'VALUE1'},
+    {lookup: 'first.manifestPath', name: 'MANIFEST1'},
+    {lookup: 'second.value', name: 'VALUE2'},
+    {lookup: 'second.manifestPath', name: 'MANIFEST2'},
+    'resolution'
+];
+var sortDefault = ['repo', 'label'];
+
+function do_conflicts(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length > 0) {
+        cb(new UsageError('too many arguments'));
+        return;
+    }
+
+    var jrm = this.top.jrm;
+
+    jrm.listLabelConflicts(function onConflicts(err, conflicts) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (opts.json) {
+            common.jsonStream(conflicts);
+        } else {
+            for (var conflict of conflicts) {
+                if (conflict.winner) {
+                    conflict.resolution =
+                        'use ' +
+                        (conflict.winner === 'first' ? 'VALUE1' : 'VALUE2') +
+                        ' (' +
+                        jrm.labelConflictPolicy +
+                        ')';
+                } else {
+                    conflict.resolution = 'error';
+                }
+            }
+            tabula(conflicts, {
+                skipHeader: opts.H,
+                columns: opts.o || columnsDefault,
+                sort: opts.s,
+                dottedLookup: true
+            });
+        }
+
+        if (conflicts.length > 0) {
+            cb(new VError('%d label conflict(s) found', conflicts.length));
+        } else {
+            cb();
+        }
+    });
+}
+
+do_conflicts.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+].concat(
+    common.getCliTableOptions({
+        sortDefault: sortDefault
+    })
+);
+
+do_conflicts.synopses = ['{{name}} {{cmd}} [OPTIONS]'];
+
+do_conflicts.help = [
+    'List repo label conflicts between manifests.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'A label conflict is when two manifests give the same repo different',
+    'values for a label. VALUE1 is from the manifest loaded first. How',
+    'conflicts are resolved is set by `jr --label-conflicts POLICY` (or',
+    'JR_LABEL_CONFLICTS):',
+    '    error       Conflicts are an error. This is the default.',
+    '    first-wins  Use the value from the manifest loaded first.',
+    '    last-wins   Use the value from the manifest loaded last.',
+    '    priority    Use the value from the manifest with the higher',
+    '                "priority" field (default 0). Ties go to the first.',
+    '',
+    'This exits non-zero if there are any conflicts.'
+].join('\n');
+
+module.exports = do_conflicts;
@@ -0,0 +1,214 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest diff [--git REV1[..REV2]] OLD NEW`
+ */
+
+var UsageError = require('cmdln').UsageError;
+var vasync = require('vasync');
+
+var manifestlib = require('../../manifest');
+
+function _fmtValue(value) {
+    return value === undefined ? '(unset)' : JSON.stringify(value);
+}
+
+function do_diff(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    var jrm = this.top.jrm;
+    var revs;
+    if (opts.git) {
+        if (args.length !== 1) {
+            cb(new UsageError('incorrect number of args: expected PATH'));
+            return;
+        }
+        revs = opts.git.split('..');
+        if (revs.length > 2 || !revs[0] || revs[1] === '') {
+            cb(new UsageError('invalid --git revisions: ' + opts.git));
+            return;
+        }
+    } else if (args.length !== 2) {
+        cb(new UsageError('incorrect number of args: expected OLD and NEW'));
+        return;
+    }
+
+    vasync.pipeline(
+        {
+            arg: {},
+            funcs: [
+                function getGitSources(ctx, next) {
+                    if (!revs) {
+                        ctx.oldManifestPath = args[0];
+                        ctx.newManifestPath = args[1];
+                        next();
+                        return;
+                    }
+
+                    vasync.forEachPipeline(
+                        {
+                            inputs: revs,
+                            func: function getOne(rev, nextRev) {
+                                manifestlib.localGitSource(
+                                    args[0],
+                                    rev,
+                                    nextRev
+                                );
+                            }
+                        },
+                        function onSources(err, results) {
+                            if (err) {
+                                next(err);
+                                return;
+                            }
+                            ctx.oldManifestPath = results.successes[0];
+                            // Without REV2, compare to the working copy file.
+                            ctx.newManifestPath =
+                                results.successes[1] || args[0];
+                            next();
+                        }
+                    );
+                },
+                function refreshGitCache(ctx, next) {
+                    if (!revs) {
+                        next();
+                        return;
+                    }
+                    manifestlib.refreshGitCache(
+                        manifestlib.parseGitSource(ctx.oldManifestPath).url,
+                        {gitCacheDir: jrm.gitCacheDir},
+                        next
+                    );
+                },
+                function diffThem(ctx, next) {
+                    jrm.diffManifests(
+                        {
+                            oldManifestPath: ctx.oldManifestPath,
+                            newManifestPath: ctx.newManifestPath
+                        },
+                        function onDiff(err, diff) {
+                            ctx.diff = diff;
+                            next(err);
+                        }
+                    );
+                },
+                function printDiff(ctx, next) {
+                    var diff = ctx.diff;
+
+                    if (opts.json) {
+                        console.log(JSON.stringify(diff, null, 4));
+                        next();
+                        return;
+                    }
+
+                    var lines = [];
+                    for (var added of diff.reposAdded) {
+                        lines.push('added repo: ' + added);
+                    }
+                    for (var removed of diff.reposRemoved) {
+                        lines.push('removed repo: ' + removed);
+                    }
+                    for (var lc of diff.labelChanges) {
+                        lines.push(
+                            'label: ' +
+                                lc.repo +
+                                ': ' +
+                                lc.label +
+                                ': ' +
+                                _fmtValue(lc.oldValue) +
+                                ' -> ' +
+                                _fmtValue(lc.newValue)
+                        );
+                    }
+                    for (var dc of diff.defaultsChanges) {
+                        lines.push(
+                            'defaults: ' +
+                                dc.manifest +
+                                ': ' +
+                                dc.label +
+                                ': ' +
+                                _fmtValue(dc.oldValue) +
+                                ' -> ' +
+                                _fmtValue(dc.newValue) +
+                                ' (' +
+                                dc.repos.length +
+                                ' repo(s) affected' +
+                                (dc.repos.length
+                                    ? ': ' + dc.repos.join(', ')
+                                    : '') +
+                                ')'
+                        );
+                    }
+                    for (var exclAdded of diff.exclusionsAdded) {
+                        lines.push('added exclusion: ' + exclAdded);
+                    }
+                    for (var exclRemoved of diff.exclusionsRemoved) {
+                        lines.push('removed exclusion: ' + exclRemoved);
+                    }
+
+                    console.log(
+                        lines.length ? lines.join('\n') : 'No changes.'
+                    );
+                    next();
+                }
+            ]
+        },
+        function doneDiff(err) {
+            cb(err);
+        }
+    );
+}
+
+do_diff.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['git', 'g'],
+        type: 'string',
+        helpArg: 'REV1[..REV2]',
+        help:
+            'Compare the manifest file PATH at git revision REV1 with that at ' +
+            'REV2, or with the working copy file if REV2 is not given.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON output.'
+    }
+];
+
+do_diff.synopses = [
+    '{{name}} {{cmd}} [OPTIONS] OLD NEW',
+    '{{name}} {{cmd}} [OPTIONS] --git REV1[..REV2] PATH'
+];
+
+do_diff.completionArgtypes = ['default', 'default'];
+
+do_diff.help = [
+    'Show the effect of changes to a repo manifest.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'OLD and NEW are manifest file paths or git sources. Each is loaded',
+    '(including the manifests it includes) and merged as by other `jr`',
+    'commands, and the repos are compared. This shows:',
+    '- repos that were added or removed,',
+    '- repo label values that were added, changed or removed,',
+    '- changes to "defaults" labels, with the repos whose label value changed',
+    '  with them, and',
+    '- repos that were added to or removed from "excludedRepositories".',
+    '',
+    'Examples:',
+    '    jr manifest diff old-jr-manifest.json jr-manifest.json',
+    '    jr manifest diff --git HEAD jr-manifest.json      # uncommitted changes',
+    '    jr manifest diff --git main..HEAD jr-manifest.json'
+].join('\n');
+
+module.exports = do_diff;
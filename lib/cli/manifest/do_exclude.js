@@ -0,0 +1,104 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest exclude [-f MANIFEST] [-r REASON] REPO...`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+var manifestlib = require('../../manifest');
+
+function do_exclude(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length < 1) {
+        cb(new UsageError('missing REPO argument'));
+        return;
+    }
+
+    var manifestPath;
+    try {
+        manifestPath = this.getEditManifestPath(opts.file);
+    } catch (err) {
+        cb(err);
+        return;
+    }
+
+    var excludedAt = new Date().toISOString().slice(0, 10);
+
+    manifestlib.editManifest(
+        manifestPath,
+        function excludeThem(manifest) {
+            for (var repoName of args) {
+                manifestlib.excludeRepo(manifest, repoName, {
+                    manifestPath: manifestPath,
+                    move: opts.move,
+                    reason: opts.reason,
+                    excludedAt: excludedAt
+                });
+            }
+        },
+        function onEdit(err) {
+            if (!err) {
+                for (var repoName of args) {
+                    console.log(
+                        'Excluded repo "%s" in "%s".',
+                        repoName,
+                        manifestPath
+                    );
+                }
+            }
+            cb(err);
+        }
+    );
+}
+
+do_exclude.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['file', 'f'],
+        type: 'string',
+        helpArg: 'MANIFEST',
+        help:
+            'The manifest file to edit. Required unless there is only one ' +
+            'configured manifest.'
+    },
+    {
+        names: ['move'],
+        type: 'bool',
+        help: 'Move the repo(s) from "repositories", if there.'
+    },
+    {
+        names: ['reason', 'r'],
+        type: 'string',
+        helpArg: 'REASON',
+        help:
+            'Why the repo(s) are excluded. This is recorded in the ' +
+            "exclusion entry. Today's date is recorded with or without a " +
+            'reason.'
+    }
+];
+
+do_exclude.synopses = ['{{name}} {{cmd}} [OPTIONS] REPO...'];
+
+do_exclude.help = [
+    'Add repos to a manifest\'s "excludedRepositories".',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    "Excluded repos are those explicitly *not* part of the manifest's set of",
+    'repos, so that `jr update-manifest` need not ask about them again. It is',
+    'an error if a REPO is already in the manifest, including in',
+    '"repositories" (unless `--move` is used). The manifest is written in',
+    'canonical format.',
+    '',
+    'Use `jr list --excluded` to list exclusions and their reasons.'
+].join('\n');
+
+module.exports = do_exclude;
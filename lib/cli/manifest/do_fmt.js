@@ -0,0 +1,152 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest fmt [--check] [PATHS...]`
+ */
+
+var vasync = require('vasync');
+var VError = require('verror');
+
+var manifestlib = require('../../manifest');
+
+function do_fmt(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    var self = this;
+    var manifestPaths = args.length ? args : this.top.jrm.manifestPaths;
+    if (manifestPaths.length === 0) {
+        this.top.warnUnconfigured();
+        cb();
+        return;
+    }
+
+    var nFailed = 0;
+    var nUnformatted = 0;
+    var readOpts = {gitCacheDir: this.top.jrm.gitCacheDir};
+
+    vasync.forEachPipeline(
+        {
+            inputs: manifestPaths,
+            func: function fmtOne(manifestPath, next) {
+                if (manifestlib.isGitSource(manifestPath)) {
+                    nFailed++;
+                    console.log(
+                        '%s: cannot format a git source manifest',
+                        manifestPath
+                    );
+                    next();
+                    return;
+                }
+
+                manifestlib.readManifest(
+                    manifestPath,
+                    readOpts,
+                    function onRead(readErr, manifest, content) {
+                        if (readErr) {
+                            nFailed++;
+                            console.log(
+                                '%s: %s',
+                                manifestPath,
+                                readErr.message
+                            );
+                            self.log.debug({err: readErr}, 'could not read');
+                            next();
+                            return;
+                        }
+
+                        var formatted = manifestlib.formatManifest(manifest);
+                        if (formatted === content) {
+                            next();
+                            return;
+                        }
+
+                        nUnformatted++;
+                        if (opts.check) {
+                            console.log(
+                                '%s: not canonically formatted',
+                                manifestPath
+                            );
+                            next();
+                            return;
+                        }
+                        manifestlib.saveManifest(
+                            manifestPath,
+                            manifest,
+                            onSave
+                        );
+
+                        function onSave(saveErr) {
+                            if (saveErr) {
+                                next(saveErr);
+                            } else {
+                                console.log('Formatted "%s".', manifestPath);
+                                next();
+                            }
+                        }
+                    }
+                );
+            }
+        },
+        function doneFmt(err) {
+            if (err) {
+                cb(err);
+            } else if (nFailed > 0) {
+                cb(
+                    new VError(
+                        'could not format %d of %d manifest(s)',
+                        nFailed,
+                        manifestPaths.length
+                    )
+                );
+            } else if (opts.check && nUnformatted > 0) {
+                cb(
+                    new VError(
+                        '%d of %d manifest(s) are not canonically formatted ' +
+                            '(run `jr manifest fmt` to fix)',
+                        nUnformatted,
+                        manifestPaths.length
+                    )
+                );
+            } else {
+                cb();
+            }
+        }
+    );
+}
+
+do_fmt.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['check', 'c'],
+        type: 'bool',
+        help:
+            'Do not write files. Exit non-zero if any manifest is not ' +
+            'canonically formatted.'
+    }
+];
+
+do_fmt.synopses = ['{{name}} {{cmd}} [OPTIONS] [PATHS...]'];
+
+do_fmt.help = [
+    'Rewrite manifest files in a canonical format.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'By default the manifests in `-m PATHS` (or JR_MANIFESTS) are formatted.',
+    'The canonical format is JSON with 4-space indentation, keys in the order',
+    'of the manifest spec, labels sorted by name, "repositories" sorted by',
+    'name, and "excludedRepositories" sorted. Manifests must be valid to be',
+    'formatted. `jr update-manifest` also writes manifests in this format.',
+    '',
+    'Use `--check` in CI to ensure manifests stay canonically formatted.'
+].join('\n');
+
+module.exports = do_fmt;
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest lint [PATHS...]`
+ */
+
+var vasync = require('vasync');
+var VError = require('verror');
+
+var common = require('../../common');
+var lint = require('../../lint');
+var manifestlib = require('../../manifest');
+
+function do_lint(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    var self = this;
+    var manifestPaths = args.length ? args : this.top.jrm.manifestPaths;
+    if (manifestPaths.length === 0) {
+        this.top.warnUnconfigured();
+        cb();
+        return;
+    }
+
+    var problems = [];
+    var readOpts = {gitCacheDir: this.top.jrm.gitCacheDir};
+
+    vasync.forEachPipeline(
+        {
+            inputs: manifestPaths,
+            func: function lintOne(manifestPath, next) {
+                manifestlib.readManifest(
+                    manifestPath,
+                    readOpts,
+                    function onRead(err, manifest) {
+                        var found;
+                        if (err) {
+                            // A manifest must be valid to be linted.
+                            self.log.debug({err: err}, 'invalid manifest');
+                            var errs = VError.info(err).errors;
+                            found = errs
+                                ? errs.map(function schemaProblem(e) {
+                                      return {
+                                          rule: 'schema',
+                                          severity: 'error',
+                                          path: e.path,
+                                          message: e.message
+                                      };
+                                  })
+                                : [
+                                      {
+                                          rule: 'read',
+                                          severity: 'error',
+                                          path: '(root)',
+                                          message: err.message
+                                      }
+                                  ];
+                        } else {
+                            found = lint.lintManifest(manifest);
+                        }
+
+                        for (var p of found) {
+                            problems.push({
+                                manifestPath: manifestPath,
+                                rule: p.rule,
+                                severity: p.severity,
+                                path: p.path,
+                                message: p.message
+                            });
+                        }
+                        next();
+                    }
+                );
+            }
+        },
+        function doneLint(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            if (opts.json) {
+                common.jsonStream(problems);
+            } else {
+                for (var p of problems) {
+                    console.log(
+                        '%s: %s: %s: %s (%s)',
+                        p.manifestPath,
+                        p.path,
+                        p.severity,
+                        p.message,
+                        p.rule
+                    );
+                }
+            }
+
+            var nErrors = problems.filter(function isError(problem) {
+                return problem.severity === 'error';
+            }).length;
+            if (nErrors > 0) {
+                cb(
+                    new VError(
+                        '%d error(s) and %d warning(s) in %d manifest(s)',
+                        nErrors,
+                        problems.length - nErrors,
+                        manifestPaths.length
+                    )
+                );
+            } else {
+                cb();
+            }
+        }
+    );
+}
+
+do_lint.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['json', 'j'],
+        type: 'bool',
+        help: 'JSON stream output.'
+    }
+];
+
+do_lint.synopses = ['{{name}} {{cmd}} [OPTIONS] [PATHS...]'];
+
+do_lint.completionArgtypes = ['default'];
+
+do_lint.help = [
+    'Check repo manifests for likely mistakes.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'PATHS are the manifest files to lint. If not given, the configured',
+    'manifests (`-m PATHS` or JR_MANIFESTS) are linted. Manifests must be',
+    'valid (see `jr manifest validate`) to be linted. Rules:',
+    Object.keys(lint.LINT_RULES)
+        .map(function fmtRule(rule) {
+            var r = lint.LINT_RULES[rule];
+            return common.indent(
+                rule + ' (' + r.severity + ')\n' + common.indent(r.help)
+            );
+        })
+        .join('\n'),
+    '',
+    'A manifest can change the severity of a rule ("error" or "warning"), or',
+    'turn it "off", in its "lintRules" field, e.g.:',
+    '    "lintRules": {"unknown-label": "off"}',
+    '',
+    'This exits non-zero if there are any errors. Warnings are printed, but',
+    'do not fail.'
+].join('\n');
+
+module.exports = do_lint;
@@ -0,0 +1,52 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest refresh`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+function do_refresh(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length > 0) {
+        cb(new UsageError('too many arguments'));
+        return;
+    }
+
+    this.top.jrm.refreshManifestCache(function onRefresh(err, urls) {
+        if (urls) {
+            for (var url of urls) {
+                console.log('Refreshed "%s".', url);
+            }
+        }
+        cb(err);
+    });
+}
+
+do_refresh.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    }
+];
+
+do_refresh.synopses = ['{{name}} {{cmd}} [OPTIONS]'];
+
+do_refresh.help = [
+    'Refresh cached clones for git manifest sources.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'A manifest path (in `-m PATHS` or JR_MANIFESTS) may be a git source of',
+    'the form "git+URL#REF:PATH", e.g.:',
+    '    git+file:///home/me/triton.git#master:tools/jr-manifest.json',
+    'Such manifests are read with `git show` from a bare clone of the git',
+    'repo cached under "~/.jr/manifests". The clone is made on first use and',
+    'is only updated by this command.'
+].join('\n');
+
+module.exports = do_refresh;
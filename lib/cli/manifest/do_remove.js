@@ -0,0 +1,87 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest remove [-f MANIFEST] REPO...`
+ */
+
+var UsageError = require('cmdln').UsageError;
+
+var manifestlib = require('../../manifest');
+
+function do_remove(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    } else if (args.length < 1) {
+        cb(new UsageError('missing REPO argument'));
+        return;
+    }
+
+    var manifestPath;
+    try {
+        manifestPath = this.getEditManifestPath(opts.file);
+    } catch (err) {
+        cb(err);
+        return;
+    }
+
+    var removedFrom = [];
+    manifestlib.editManifest(
+        manifestPath,
+        function removeThem(manifest) {
+            for (var repoName of args) {
+                removedFrom.push(
+                    manifestlib.removeRepo(manifest, repoName, {
+                        manifestPath: manifestPath
+                    })
+                );
+            }
+        },
+        function onEdit(err) {
+            if (!err) {
+                for (var i = 0; i < args.length; i++) {
+                    console.log(
+                        'Removed repo "%s" from "%s" of "%s".',
+                        args[i],
+                        removedFrom[i],
+                        manifestPath
+                    );
+                }
+            }
+            cb(err);
+        }
+    );
+}
+
+do_remove.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['file', 'f'],
+        type: 'string',
+        helpArg: 'MANIFEST',
+        help:
+            'The manifest file to edit. Required unless there is only one ' +
+            'configured manifest.'
+    }
+];
+
+do_remove.aliases = ['rm'];
+
+do_remove.synopses = ['{{name}} {{cmd}} [OPTIONS] REPO...'];
+
+do_remove.help = [
+    'Remove repos from a manifest.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'This removes each REPO from the manifest "repositories" or',
+    '"excludedRepositories", whichever it is in. The manifest is written in',
+    'canonical format.'
+].join('\n');
+
+module.exports = do_remove;
@@ -0,0 +1,112 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * `jr manifest validate [PATHS...]`
+ */
+
+var vasync = require('vasync');
+var VError = require('verror');
+
+var manifestlib = require('../../manifest');
+
+function do_validate(subcmd, opts, args, cb) {
+    if (opts.help) {
+        this.do_help('help', {}, [subcmd], cb);
+        return;
+    }
+
+    var self = this;
+    var manifestPaths = args.length ? args : this.top.jrm.manifestPaths;
+    if (manifestPaths.length === 0) {
+        this.top.warnUnconfigured();
+        cb();
+        return;
+    }
+
+    var nInvalid = 0;
+    var readOpts = {gitCacheDir: this.top.jrm.gitCacheDir};
+
+    vasync.forEachPipeline(
+        {
+            inputs: manifestPaths,
+            func: function validateOne(manifestPath, next) {
+                manifestlib.readManifest(
+                    manifestPath,
+                    readOpts,
+                    function onRead(err) {
+                        if (!err) {
+                            if (!opts.quiet) {
+                                console.log('%s: ok', manifestPath);
+                            }
+                            next();
+                            return;
+                        }
+
+                        nInvalid++;
+                        var errs = VError.info(err).errors;
+                        if (errs) {
+                            for (var e of errs) {
+                                console.log(
+                                    '%s: %s: %s',
+                                    manifestPath,
+                                    e.path,
+                                    e.message
+                                );
+                            }
+                        } else {
+                            console.log('%s: %s', manifestPath, err.message);
+                        }
+                        self.log.debug({err: err}, 'invalid manifest');
+                        next();
+                    }
+                );
+            }
+        },
+        function doneValidate(err) {
+            if (err) {
+                cb(err);
+            } else if (nInvalid > 0) {
+                cb(
+                    new VError(
+                        '%d of %d manifest(s) are invalid',
+                        nInvalid,
+                        manifestPaths.length
+                    )
+                );
+            } else {
+                cb();
+            }
+        }
+    );
+}
+
+do_validate.options = [
+    {
+        names: ['help', 'h'],
+        type: 'bool',
+        help: 'Show this help.'
+    },
+    {
+        names: ['quiet', 'q'],
+        type: 'bool',
+        help: 'Only print validation errors.'
+    }
+];
+
+do_validate.synopses = ['{{name}} {{cmd}} [OPTIONS] [PATHS...]'];
+
+do_validate.completionArgtypes = ['default'];
+
+do_validate.help = [
+    'Validate repo manifests against the jr-manifest.json schema.',
+    '',
+    '{{usage}}',
+    '',
+    '{{options}}',
+    'PATHS are the manifest files to validate. If not given, the configured',
+    'manifests (`-m PATHS` or JR_MANIFESTS) are validated. Each validation',
+    'error is printed with the JSON path of the offending value. This exits',
+    'non-zero if any manifest is invalid.'
+].join('\n');
+
+module.exports = do_validate;
@@ -0,0 +1,89 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ *
+ * The `jr manifest ...` CLI class.
+ */
+
+var cmdln = require('cmdln'),
+    Cmdln = cmdln.Cmdln;
+var util = require('util');
+
+var manifestlib = require('../../manifest');
+
+// ---- CLI class
+
+function ManifestCli(top) {
+    this.top = top;
+    Cmdln.call(this, {
+        name: top.name + ' manifest',
+        desc: ['Check and work with repo manifest files.'].join('\n'),
+        helpOpts: {
+            minHelpCol: 24 // line up with option help
+        },
+        helpSubcmds: [
+            'help',
+            'validate',
+            'lint',
+            'fmt',
+            'conflicts',
+            'diff',
+            'blame',
+            'refresh',
+            {group: 'Editing'},
+            'add',
+            'exclude',
+            'remove'
+        ]
+    });
+}
+util.inherits(ManifestCli, Cmdln);
+
+ManifestCli.prototype.init = function init(_opts, _args, _cb) {
+    this.log = this.top.log;
+    Cmdln.prototype.init.apply(this, arguments);
+};
+
+/*
+ * Return the manifest path to edit: the `-f MANIFEST` option, else the only
+ * configured manifest. Throws a UsageError if neither applies.
+ */
+ManifestCli.prototype.getEditManifestPath = function getEditManifestPath(
+    fileOpt
+) {
+    if (fileOpt) {
+        return fileOpt;
+    }
+
+    var manifestPaths = this.top.jrm.manifestPaths;
+    if (manifestPaths.length !== 1) {
+        throw new cmdln.UsageError(
+            util.format(
+                '%d manifests are configured: use `-f MANIFEST` to select ' +
+                    'the manifest to edit',
+                manifestPaths.length
+            )
+        );
+    } else if (manifestlib.isGitSource(manifestPaths[0])) {
+        throw new cmdln.UsageError(
+            util.format(
+                'cannot edit git source manifest "%s": use `-f MANIFEST` ' +
+                    'to select a local manifest file',
+                manifestPaths[0]
+            )
+        );
+    }
+    return manifestPaths[0];
+};
+
+ManifestCli.prototype.do_validate = require('./do_validate');
+ManifestCli.prototype.do_lint = require('./do_lint');
+ManifestCli.prototype.do_fmt = require('./do_fmt');
+ManifestCli.prototype.do_conflicts = require('./do_conflicts');
+ManifestCli.prototype.do_diff = require('./do_diff');
+ManifestCli.prototype.do_blame = require('./do_blame');
+ManifestCli.prototype.do_refresh = require('./do_refresh');
+ManifestCli.prototype.do_add = require('./do_add');
+ManifestCli.prototype.do_exclude = require('./do_exclude');
+ManifestCli.prototype.do_remove = require('./do_remove');
+
+module.exports = ManifestCli;
@@ -244,6 +244,38 @@ function getCliTableOptions(opts) {
     return tOpts;
 }
 
+/*
+ * Return the node-cmdln options for selecting repos by label: `-l SELECTOR`
+ * and `-q EXPR` (see `JoyentReposManager.listRepos` for the syntax). Commands
+ * pass these to `listRepos` as `labelSelectors` and `query`.
+ *
+ * @return {Array} Array of cmdln options objects
+ */
+function getCliSelectorOptions() {
+    return [
+        {
+            names: ['label', 'l'],
+            type: 'arrayOfLabelSelector',
+            helpArg: 'SELECTOR',
+            help:
+                'Label selectors. Separate selectors with comma or use the ' +
+                'option multiple times. `key=value`, `key!=value`, ' +
+                '`key in (v1,v2)`, `key notin (v1,v2)`, `key<N` (also `<=`, ' +
+                '`>`, `>=`), `key=~/regex/` (also `!~`), `key` (check for ' +
+                'truthy), or `!key` (check for falsy).'
+        },
+        {
+            names: ['query', 'q'],
+            type: 'string',
+            helpArg: 'EXPR',
+            help:
+                'A selector expression, combining label selectors with ' +
+                '"&&", "||", "!" and parentheses, e.g. ' +
+                '`-q "(triton || manta) && !meta"`.'
+        }
+    ];
+}
+
 /**
  * Prompt a user for a y/n answer.
  *
@@ -378,6 +410,25 @@ function promptEnter(prompt, cb) {
     );
 }
 
+/*
+ * Prompt for a line of text. Calls back with `cb(err, text)`, where `err` is
+ * set if the user hit Ctrl+C. The text is trimmed.
+ */
+function promptText(prompt, cb) {
+    read(
+        {
+            prompt: prompt
+        },
+        function onRead(err, text) {
+            if (err) {
+                cb(err);
+            } else {
+                cb(null, text.trim());
+            }
+        }
+    );
+}
+
 /*
  * Parse the given line into an argument vector, e.g. for use in sending to
  * `child_process.spawn(argv[0], argv.slice(1), ...)`.
@@ -664,6 +715,24 @@ function tildeSync(s) {
     }
 }
 
+/*
+ * Return the GitHub owner (user or org) of the given repo object (as from
+ * `JoyentReposManager.listRepos`), or null if the repo is not on GitHub.
+ */
+function githubOwnerFromRepo(repo) {
+    assert.object(repo, 'repo');
+
+    if (repo.source) {
+        return repo.source.host === 'github.com' ? repo.source.org : null;
+    }
+
+    // A repo with an explicit `url`.
+    var match = /^(?:https:\/\/|git@)github\.com[:/]([^/]+)\//.exec(
+        repo.httpsCloneUrl
+    );
+    return match ? match[1] : null;
+}
+
 // ---- exports
 
 module.exports = {
@@ -672,13 +741,16 @@ module.exports = {
     longAgo: longAgo,
     parseKeyValue: parseKeyValue,
     getCliTableOptions: getCliTableOptions,
+    getCliSelectorOptions: getCliSelectorOptions,
     promptYesNo: promptYesNo,
     promptEnter: promptEnter,
+    promptText: promptText,
     editInEditor: editInEditor,
     ansiStylize: ansiStylize,
     ansiStylizeTty: ansiStylizeTty,
     indent: indent,
     chomp: chomp,
-    tildeSync: tildeSync
+    tildeSync: tildeSync,
+    githubOwnerFromRepo: githubOwnerFromRepo
 };
 // vim: set softtabstop=4 shiftwidth=4:
@@ -0,0 +1,402 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Support for the `jr` user config file, "~/.jr/config.json".
+ *
+ * The config holds named profiles of settings, e.g.:
+ *
+ *      {
+ *          "defaultProfile": "triton",
+ *          "profiles": {
+ *              "triton": {
+ *                  "manifests": ["~/src/triton/tools/jr-manifest.json"],
+ *                  "baseDir": "~/src/triton"
+ *              },
+ *              "manta": {
+ *                  "manifests": ["~/src/manta/tools/jr-manifest.json"],
+ *                  "baseDir": "~/src/manta",
+ *                  "cloneProtocol": "https",
+ *                  "concurrency": 4,
+ *                  "color": false
+ *              }
+ *          }
+ *      }
+ *
+ * Config keys are addressed as "defaultProfile" or "$profile.$key".
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var format = require('util').format;
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var path = require('path');
+var VError = require('verror');
+
+var CLONE_PROTOCOLS = require('./jrm').CLONE_PROTOCOLS;
+var pathtemplate = require('./pathtemplate');
+
+// ---- globals
+
+var PROFILE_NAME_RE = /^[A-Za-z0-9_-]+$/;
+
+/*
+ * The settings in a profile. Each has a `help` string, and a `parse` function
+ * that converts a string value (from `jr config set`) to the setting value,
+ * and a `validate` function that returns an error message for an invalid
+ * setting value (from the config file), or null.
+ */
+var PROFILE_KEYS = {
+    manifests: {
+        help: 'Repo manifest paths (comma-separated), as for `jr -m`.',
+        parse: function parseManifests(s) {
+            return s
+                .split(',')
+                .map(function trimIt(p) {
+                    return p.trim();
+                })
+                .filter(function nonEmpty(p) {
+                    return p;
+                });
+        },
+        validate: function validateManifests(v) {
+            if (
+                !Array.isArray(v) ||
+                !v.every(function isStr(p) {
+                    return typeof p === 'string' && p.length > 0;
+                })
+            ) {
+                return 'must be an array of manifest paths';
+            }
+            return null;
+        }
+    },
+    baseDir: {
+        help: 'Default base directory for repo clones, instead of the cwd.',
+        parse: function parseBaseDir(s) {
+            return s;
+        },
+        validate: function validateBaseDir(v) {
+            if (typeof v !== 'string' || v.length === 0) {
+                return 'must be a directory path';
+            }
+            return null;
+        }
+    },
+    repoPathTemplate: {
+        help:
+            'Template for the path of each repo clone under the base dir, ' +
+            'e.g. \'{labels.tritonservice|"misc"}/{name}\'.',
+        parse: function parseRepoPathTemplate(s) {
+            return s;
+        },
+        validate: function validateRepoPathTemplate(v) {
+            if (typeof v !== 'string') {
+                return 'must be a string';
+            }
+            try {
+                pathtemplate.parseRepoPathTemplate(v);
+            } catch (err) {
+                return err.message;
+            }
+            return null;
+        }
+    },
+    cloneProtocol: {
+        help:
+            'Protocol for cloning repos: "' +
+            CLONE_PROTOCOLS.join('", "') +
+            '".',
+        parse: function parseCloneProtocol(s) {
+            return s;
+        },
+        validate: function validateCloneProtocol(v) {
+            if (CLONE_PROTOCOLS.indexOf(v) === -1) {
+                return 'must be one of "' + CLONE_PROTOCOLS.join('", "') + '"';
+            }
+            return null;
+        }
+    },
+    concurrency: {
+        help: 'Number of repos to operate on concurrently.',
+        parse: function parseConcurrency(s) {
+            return /^\d+$/.test(s) ? Number(s) : s;
+        },
+        validate: function validateConcurrency(v) {
+            if (typeof v !== 'number' || v % 1 !== 0 || v < 1) {
+                return 'must be a positive integer';
+            }
+            return null;
+        }
+    },
+    color: {
+        help: 'Whether to colorize output: "true" or "false".',
+        parse: function parseColor(s) {
+            if (s === 'true') {
+                return true;
+            } else if (s === 'false') {
+                return false;
+            }
+            return s;
+        },
+        validate: function validateColor(v) {
+            if (typeof v !== 'boolean') {
+                return 'must be a boolean';
+            }
+            return null;
+        }
+    }
+};
+
+// ---- internal support
+
+/*
+ * Return an array of error messages for the given config object.
+ */
+function _validateConfig(config) {
+    var errs = [];
+
+    if (
+        typeof config !== 'object' ||
+        config === null ||
+        Array.isArray(config)
+    ) {
+        return ['config must be an object'];
+    }
+
+    for (var key of Object.keys(config)) {
+        if (key !== 'defaultProfile' && key !== 'profiles') {
+            errs.push(format('"%s" is not a config key', key));
+        }
+    }
+
+    var profiles = config.profiles || {};
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+        errs.push('"profiles" must be an object');
+        return errs;
+    }
+    for (var name of Object.keys(profiles)) {
+        if (!PROFILE_NAME_RE.test(name)) {
+            errs.push(format('"%s" is not a valid profile name', name));
+        }
+        var profile = profiles[name];
+        if (
+            typeof profile !== 'object' ||
+            profile === null ||
+            Array.isArray(profile)
+        ) {
+            errs.push(format('"%s" must be an object', name));
+            continue;
+        }
+        for (var pkey of Object.keys(profile)) {
+            var desc = PROFILE_KEYS[pkey];
+            var msg = desc
+                ? desc.validate(profile[pkey])
+                : 'is not a profile setting';
+            if (msg) {
+                errs.push(format('"%s.%s" %s', name, pkey, msg));
+            }
+        }
+    }
+
+    if (
+        config.defaultProfile !== undefined &&
+        !profiles.hasOwnProperty(config.defaultProfile)
+    ) {
+        errs.push(
+            format(
+                '"defaultProfile" is "%s", but there is no such profile',
+                config.defaultProfile
+            )
+        );
+    }
+
+    return errs;
+}
+
+/*
+ * Parse a config key into `{profile, key}` (for "$profile.$key") or
+ * `{key: 'defaultProfile'}`. Throws on an invalid key.
+ */
+function _parseConfigKey(s) {
+    if (s === 'defaultProfile') {
+        return {key: s};
+    }
+
+    var idx = s.lastIndexOf('.');
+    var profile = s.slice(0, idx);
+    var key = s.slice(idx + 1);
+    if (idx === -1 || !PROFILE_NAME_RE.test(profile)) {
+        throw new VError(
+            'invalid config key "%s": must be "defaultProfile" or ' +
+                '"PROFILE.SETTING"',
+            s
+        );
+    } else if (!PROFILE_KEYS.hasOwnProperty(key)) {
+        throw new VError(
+            'invalid config key "%s": unknown profile setting "%s" (must ' +
+                'be one of "%s")',
+            s,
+            key,
+            Object.keys(PROFILE_KEYS).join('", "')
+        );
+    }
+    return {profile: profile, key: key};
+}
+
+// ---- exports
+
+/*
+ * Load the config file at the given path. A missing file is an empty config.
+ * Throws if the file cannot be read or is invalid.
+ */
+function loadConfigSync(configPath) {
+    assert.string(configPath, 'configPath');
+
+    var content;
+    try {
+        content = fs.readFileSync(configPath, 'utf8');
+    } catch (readErr) {
+        if (readErr.code === 'ENOENT') {
+            return {profiles: {}};
+        }
+        throw new VError(readErr, 'could not read config "%s"', configPath);
+    }
+
+    var config;
+    try {
+        config = JSON.parse(content);
+    } catch (parseErr) {
+        throw new VError(parseErr, 'config "%s" is not valid JSON', configPath);
+    }
+
+    var errs = _validateConfig(config);
+    if (errs.length > 0) {
+        throw new VError(
+            {name: 'ConfigError', info: {configPath: configPath, errors: errs}},
+            'config "%s" is invalid:\n    %s',
+            configPath,
+            errs.join('\n    ')
+        );
+    }
+
+    if (!config.profiles) {
+        config.profiles = {};
+    }
+    return config;
+}
+
+/*
+ * Save the config to the given path, creating its dir if necessary.
+ */
+function saveConfig(configPath, config, cb) {
+    assert.string(configPath, 'configPath');
+    assert.object(config, 'config');
+    assert.func(cb, 'cb');
+
+    mkdirp(path.dirname(configPath), function onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            cb(mkdirErr);
+            return;
+        }
+        fs.writeFile(
+            configPath,
+            JSON.stringify(config, null, 4) + '\n',
+            'utf8',
+            function onWrite(err) {
+                if (err) {
+                    cb(
+                        new VError(
+                            err,
+                            'could not write config "%s"',
+                            configPath
+                        )
+                    );
+                } else {
+                    cb();
+                }
+            }
+        );
+    });
+}
+
+/*
+ * Return the settings of the named profile, or of the "defaultProfile" if
+ * `name` is not given. This returns an empty object if no profile is selected.
+ * Throws if the named profile does not exist.
+ */
+function getProfile(config, name) {
+    assert.object(config, 'config');
+    assert.optionalString(name, 'name');
+
+    var profileName = name || config.defaultProfile;
+    if (!profileName) {
+        return {};
+    } else if (!config.profiles.hasOwnProperty(profileName)) {
+        throw new VError(
+            'unknown profile "%s" (known profiles: %s)',
+            profileName,
+            Object.keys(config.profiles).join(', ') || '(none)'
+        );
+    }
+    return config.profiles[profileName];
+}
+
+/*
+ * Get the value for the given config key ("defaultProfile" or
+ * "$profile.$key"), or undefined if it is not set.
+ */
+function getConfigValue(config, s) {
+    assert.object(config, 'config');
+    assert.string(s, 's');
+
+    var ck = _parseConfigKey(s);
+    if (!ck.profile) {
+        return config[ck.key];
+    }
+    var profile = config.profiles[ck.profile];
+    return profile ? profile[ck.key] : undefined;
+}
+
+/*
+ * Set the given config key ("defaultProfile" or "$profile.$key") from the
+ * given string value. Setting a key of a profile that does not exist creates
+ * that profile. Throws if the key or value is invalid.
+ */
+function setConfigValue(config, s, strValue) {
+    assert.object(config, 'config');
+    assert.string(s, 's');
+    assert.string(strValue, 'strValue');
+
+    var ck = _parseConfigKey(s);
+    if (!ck.profile) {
+        if (!config.profiles.hasOwnProperty(strValue)) {
+            throw new VError('there is no "%s" profile', strValue);
+        }
+        config.defaultProfile = strValue;
+        return;
+    }
+
+    var desc = PROFILE_KEYS[ck.key];
+    var value = desc.parse(strValue);
+    var msg = desc.validate(value);
+    if (msg) {
+        throw new VError('invalid value for "%s": %s', s, msg);
+    }
+    if (!config.profiles[ck.profile]) {
+        config.profiles[ck.profile] = {};
+    }
+    config.profiles[ck.profile][ck.key] = value;
+}
+
+module.exports = {
+    PROFILE_KEYS: PROFILE_KEYS,
+    loadConfigSync: loadConfigSync,
+    saveConfig: saveConfig,
+    getProfile: getProfile,
+    getConfigValue: getConfigValue,
+    setConfigValue: setConfigValue
+};
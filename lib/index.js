@@ -3,8 +3,12 @@
  */
 
 var jrm = require('./jrm');
+var selector = require('./selector');
 
 module.exports = {
+    LABEL_CONFLICT_POLICIES: jrm.LABEL_CONFLICT_POLICIES,
+    parseSelectorExpression: selector.parseSelectorExpression,
+    expressionMatch: selector.expressionMatch,
     createJoyentReposManager: function createJoyentReposManager(opts) {
         return new jrm.JoyentReposManager(opts);
     }
@@ -10,22 +10,31 @@
 'use strict';
 
 var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
 var forkExecWait = require('forkexec').forkExecWait;
-var format = require('util').format;
 var fs = require('fs');
 var jsprim = require('jsprim');
-var minimatch = require('minimatch');
+var mkdirp = require('mkdirp');
 var path = require('path');
+var util = require('util');
 // We are cheating here. restify-clients should export its 'bunyan'.
 var restifyBunyanSerializers = require('restify-clients/lib/helpers/bunyan')
     .serializers;
 var vasync = require('vasync');
 var VError = require('verror');
 
+var manifestlib = require('./manifest');
+var pathtemplate = require('./pathtemplate');
+var selectorlib = require('./selector');
+
 // ---- constants
 
 var DEFAULT_CONCURRENCY = 10;
 
+var LABEL_CONFLICT_POLICIES = ['error', 'first-wins', 'last-wins', 'priority'];
+
+var CLONE_PROTOCOLS = ['ssh', 'https'];
+
 // ---- internal support functions
 
 function _validateRepo(repo, manifestPath) {
@@ -42,7 +51,11 @@ function _validateRepo(repo, manifestPath) {
         );
     }
     keys.delete('name');
+    keys.delete('url');
+    keys.delete('source');
+    keys.delete('formerNames');
     keys.delete('labels');
+    keys.delete('metadata');
     if (keys.size !== 0) {
         errs.push(
             new VError(
@@ -57,185 +70,569 @@ function _validateRepo(repo, manifestPath) {
     return VError.errorFromList(errs);
 }
 
-function _normalizeRepo(repo) {
+/*
+ * Return which of two manifests ("first" or "second", in merge order) wins a
+ * label conflict under the given policy, or null for the "error" policy.
+ */
+function _conflictWinner(policy, firstInfo, secondInfo) {
+    switch (policy) {
+        case 'error':
+            return null;
+        case 'first-wins':
+            return 'first';
+        case 'last-wins':
+            return 'second';
+        case 'priority':
+            if (
+                (secondInfo.manifest.priority || 0) >
+                (firstInfo.manifest.priority || 0)
+            ) {
+                return 'second';
+            } else {
+                return 'first';
+            }
+        default:
+            throw new VError('invalid label conflict policy: %j', policy);
+    }
+}
+
+function _fmtConflict(conflict) {
+    return util.format(
+        'conflicting label "%s" for repo "%s": %j (from "%s") vs %j ' +
+            '(from "%s")',
+        conflict.label,
+        conflict.repo,
+        conflict.first.value,
+        conflict.first.manifestPath,
+        conflict.second.value,
+        conflict.second.manifestPath
+    );
+}
+
+function _normalizeRepo(repo, manifestSource) {
     if (!repo.labels) {
         repo.labels = {};
     }
 
     // URLs.
     //
-    // First we currently assume all repos are on GitHub and under the "joyent"
-    // org.
-    //
-    // For comparison, the GitHub v3 API has the following var names the various
-    // URLs:
-    //    "html_url": "https://github.com/TritonDataCenter/node-kstat",
-    //    "git_url": "git://github.com/TritonDataCenter/node-kstat.git",
-    //    "ssh_url": "git@github.com:TritonDataCenter/node-kstat.git",
-    //    "clone_url": "https://github.com/TritonDataCenter/node-kstat.git",
-    //    "svn_url": "https://github.com/TritonDataCenter/node-kstat",
-    repo.htmlUrl = format('https://github.com/TritonDataCenter/%s', repo.name);
-    repo.sshCloneUrl = format(
-        'git@github.com:TritonDataCenter/%s.git',
-        repo.name
-    );
-    repo.httpsCloneUrl = format(
-        'https://github.com/TritonDataCenter/%s.git',
-        repo.name
-    );
+    // By default repos are on GitHub under the "TritonDataCenter" org. A
+    // manifest-level or per-repo `source` can point elsewhere, and a per-repo
+    // `url` gives the clone URL outright.
+    var urls;
+    if (repo.url) {
+        urls = {
+            htmlUrl: repo.url.replace(/\.git$/, ''),
+            sshCloneUrl: repo.url,
+            httpsCloneUrl: repo.url
+        };
+    } else {
+        repo.source = manifestlib.resolveSource(manifestSource, repo.source);
+        urls = manifestlib.repoUrlsFromSource(repo.name, repo.source);
+    }
+    repo.htmlUrl = urls.htmlUrl;
+    repo.sshCloneUrl = urls.sshCloneUrl;
+    repo.httpsCloneUrl = urls.httpsCloneUrl;
 
     return repo;
 }
 
 /*
- * Parse a label selector string (e.g. `!foo`, `check=42`, `service=*`) into
- * an object with the fields `op`, `key`, `value`.
+ * Return the dir for a repo clone path (see `_loadAll`) under the given base
+ * dir. See `getRepoPath`.
  */
-function _parseLabelSelector(ls) {
-    assert.string(ls, 'ls');
-    assert.ok(ls.length > 0);
-
-    var KEY_RE = /^[a-z_][a-z0-9\-_.]*/i;
-    var OP_RE = /^(!=|=)/;
-    var s = ls.trim(); // Remainder of the label selector (ls) being parsed.
-    var match;
-    var selector;
-
-    if (s[0] === '!') {
-        // `!key`
-        s = s.slice(1).trimLeft();
-        match = KEY_RE.exec(s);
-        if (!match) {
-            throw new VError('invalid label selector: %j', ls);
-        } else if (match[0] !== s) {
-            // Didn't match the rest of the string, that's not right.
-            throw new VError(
-                'invalid label selector, leftover %j: %j',
-                s.slice(match[0].length),
-                ls
-            );
-        } else {
-            selector = {
-                op: 'falsey',
-                key: match[0]
-            };
+function _dirFromClonePath(baseDir, clonePath) {
+    var dir = path.join(baseDir, clonePath);
+    if (process.env.JR_REPO_PATH_SUFFIX !== undefined) {
+        dir += process.env.JR_REPO_PATH_SUFFIX;
+    }
+    return dir;
+}
+
+/*
+ * Check that no two of the given repos have the same `clonePath`, and that no
+ * repo's clone path is nested in that of another. Each offending repo gets a
+ * `clonePathError` naming the other repo, and no `clonePath`.
+ */
+function _checkClonePaths(repos) {
+    var repoFromClonePath = new Map();
+    var clashes = [];
+
+    for (var repo of repos) {
+        if (!repo.clonePath) {
+            continue;
         }
-    } else {
-        match = KEY_RE.exec(s);
-        if (!match) {
-            throw new VError('invalid label selector: %j', ls);
-        }
-        var key = match[0];
-        s = s.slice(key.length).trimLeft();
-        if (s.length === 0) {
-            selector = {
-                op: 'truthy',
-                key: key
-            };
+        var other = repoFromClonePath.get(repo.clonePath);
+        if (other) {
+            clashes.push({repo: repo, other: other, nested: false});
         } else {
-            match = OP_RE.exec(s);
-            if (!match) {
-                throw new VError(
-                    'invalid label selector, could not match operator ' +
-                        'at %j: %j',
-                    s,
-                    ls
-                );
-            }
-            var op = match[0];
-            var value = s.slice(op.length).trimLeft();
-            if (value.length === 0) {
-                throw new VError(
-                    'invalid label selector, value is empty: %j',
-                    ls
-                );
-            }
+            repoFromClonePath.set(repo.clonePath, repo);
+        }
+    }
 
-            // Type conversion to number or boolean.
-            var num = Number(value);
-            if (!isNaN(num)) {
-                value = num;
-            } else if (value === 'true') {
-                value = true;
-            } else if (value === 'false') {
-                value = false;
+    for (repo of repos) {
+        if (!repo.clonePath) {
+            continue;
+        }
+        var parts = repo.clonePath.split(path.sep);
+        for (var i = 1; i < parts.length; i++) {
+            other = repoFromClonePath.get(parts.slice(0, i).join(path.sep));
+            if (other) {
+                clashes.push({repo: repo, other: other, nested: true});
             }
-
-            selector = {
-                op: op,
-                key: key,
-                value: value
-            };
         }
     }
 
-    assert.object(selector, 'selector');
-    return selector;
+    function clashErr(a, how, b) {
+        return new VError(
+            'clone path "%s" of repo "%s" %s clone path "%s" of repo "%s"',
+            a.clonePath,
+            a.name,
+            how,
+            b.clonePath,
+            b.name
+        );
+    }
+    for (var clash of clashes) {
+        if (!clash.repo.clonePathError) {
+            clash.repo.clonePathError = clashErr(
+                clash.repo,
+                clash.nested ? 'is nested in the' : 'is the same as the',
+                clash.other
+            );
+        }
+        if (!clash.other.clonePathError) {
+            clash.other.clonePathError = clashErr(
+                clash.other,
+                clash.nested ? 'contains the' : 'is the same as the',
+                clash.repo
+            );
+        }
+    }
+    for (clash of clashes) {
+        delete clash.repo.clonePath;
+        delete clash.other.clonePath;
+    }
 }
 
 /*
- * Return true if the given labels object is matched by the given selector.
- * Selector is an object of the form from `_parseLabelSelector`.
+ * Get the "origin" remote URL of the git clone at the given dir.
+ *
+ * Limitation: This could be tricked by `git -C $dir ...` walking *up* dirs to
+ * find the ".git" root.
  */
-function _selectorMatch(labels, selector) {
-    var val = labels[selector.key];
-    var match;
-
-    switch (selector.op) {
-        case 'truthy':
-            match = Boolean(val);
-            break;
-        case 'falsey':
-            match = !val;
-            break;
-        case '!=':
-            if (val === undefined) {
-                match = true;
-            } else if (
-                typeof val !== 'string' ||
-                typeof selector.value !== 'string'
-            ) {
-                match = val.toString() !== selector.value.toString();
-            } else {
-                match = !minimatch(val, selector.value, {
-                    noglobstar: true,
-                    dot: true,
-                    nocomment: true,
-                    nonegate: true
-                });
-            }
-            break;
-        case '=':
-            if (val === undefined) {
-                match = false;
-            } else if (
-                typeof val !== 'string' ||
-                typeof selector.value !== 'string'
-            ) {
-                match = val.toString() === selector.value.toString();
+function _getOriginUrl(dir, cb) {
+    forkExecWait(
+        {
+            argv: ['git', '-C', dir, 'remote', 'get-url', 'origin']
+        },
+        function onExec(err, info) {
+            if (err) {
+                cb(err);
             } else {
-                match = minimatch(val, selector.value, {
-                    noglobstar: true,
-                    dot: true,
-                    nocomment: true,
-                    nonegate: true
-                });
+                cb(null, info.stdout.trim());
             }
-            break;
-        default:
-            throw new VError('invalid selector op: %j', selector.op);
+        }
+    );
+}
+
+/*
+ * Get the state of the git clone at `opts.dir`, for the clone state
+ * pseudo-labels (see `CLONE_PSEUDO_LABELS` in "lib/selector.js"). The
+ * returned object has `cloned` (whether the dir exists) and those of these
+ * fields given in `opts.fields`:
+ *
+ * - `dirty`: whether the clone has uncommitted changes or untracked files
+ * - `branch`: the current branch (unset if HEAD is detached)
+ * - `ahead` and `behind`: the number of commits by which the current branch
+ *   is ahead of and behind its upstream branch, as of the last fetch (unset
+ *   if it has no upstream)
+ * - `has`: those of `opts.hasPaths` (relative to the clone dir) that exist
+ *
+ * Only `cloned` and `has` are set if the dir does not exist.
+ */
+function _getCloneState(opts, cb) {
+    assert.string(opts.dir, 'opts.dir');
+    assert.arrayOfString(opts.fields, 'opts.fields');
+    assert.arrayOfString(opts.hasPaths, 'opts.hasPaths');
+    assert.func(cb, 'cb');
+
+    var dir = opts.dir;
+    var state = {};
+
+    function wanted(field) {
+        return state.cloned && opts.fields.indexOf(field) !== -1;
     }
 
-    assert.bool(match, 'match');
-    return match;
+    vasync.pipeline(
+        {
+            funcs: [
+                function statDir(_, next) {
+                    fs.stat(dir, function onStat(err, stats) {
+                        if (err && err.code === 'ENOENT') {
+                            state.cloned = false;
+                        } else if (err) {
+                            next(
+                                new VError(
+                                    err,
+                                    'unexpected error stating "%s"',
+                                    dir
+                                )
+                            );
+                            return;
+                        } else {
+                            state.cloned = stats.isDirectory();
+                        }
+                        next();
+                    });
+                },
+                function getDirty(_, next) {
+                    if (!wanted('dirty')) {
+                        next();
+                        return;
+                    }
+                    forkExecWait(
+                        {
+                            argv: ['git', '-C', dir, 'status', '--porcelain']
+                        },
+                        function onExec(err, info) {
+                            if (!err) {
+                                state.dirty = info.stdout.trim().length > 0;
+                            }
+                            next(err);
+                        }
+                    );
+                },
+                function getBranch(_, next) {
+                    if (!wanted('branch')) {
+                        next();
+                        return;
+                    }
+                    forkExecWait(
+                        {
+                            argv: [
+                                'git',
+                                '-C',
+                                dir,
+                                'symbolic-ref',
+                                '--short',
+                                '-q',
+                                'HEAD'
+                            ]
+                        },
+                        function onExec(err, info) {
+                            // Exit status 1 means HEAD is detached.
+                            if (!err) {
+                                state.branch = info.stdout.trim();
+                            } else if (info.status !== 1) {
+                                next(err);
+                                return;
+                            }
+                            next();
+                        }
+                    );
+                },
+                function getAheadBehind(_, next) {
+                    if (!wanted('ahead') && !wanted('behind')) {
+                        next();
+                        return;
+                    }
+                    forkExecWait(
+                        {
+                            argv: [
+                                'git',
+                                '-C',
+                                dir,
+                                'rev-list',
+                                '--left-right',
+                                '--count',
+                                'HEAD...@{upstream}'
+                            ]
+                        },
+                        function onExec(err, info) {
+                            // This fails if there is no upstream branch.
+                            if (!err) {
+                                var counts = info.stdout.trim().split(/\s+/);
+                                state.ahead = Number(counts[0]);
+                                state.behind = Number(counts[1]);
+                            }
+                            next();
+                        }
+                    );
+                },
+                function getHas(_, next) {
+                    if (opts.fields.indexOf('has') === -1) {
+                        next();
+                        return;
+                    }
+                    state.has = [];
+                    if (!state.cloned) {
+                        next();
+                        return;
+                    }
+                    vasync.forEachPipeline(
+                        {
+                            inputs: opts.hasPaths,
+                            func: function statPath(hasPath, nextPath) {
+                                fs.stat(
+                                    path.join(dir, hasPath),
+                                    function onStat(err) {
+                                        if (!err) {
+                                            state.has.push(hasPath);
+                                        }
+                                        nextPath();
+                                    }
+                                );
+                            }
+                        },
+                        next
+                    );
+                }
+            ]
+        },
+        function doneCloneState(err) {
+            cb(err, state);
+        }
+    );
 }
 
+/*
+ * Return the first of the repo's `formerNames` matched by the given name
+ * matcher (see `nameMatcher` in "lib/selector.js"), or undefined.
+ */
+function _matchFormerName(repo, matcher) {
+    return (repo.formerNames || []).find(matcher);
+}
+
+/*
+ * The key with which to match a manifest between the two sides of a manifest
+ * diff: its path relative to the dir of the top manifest, if it is in the same
+ * tree (or git repo and ref) as the top manifest, else its full path.
+ */
+function _diffManifestKey(topPath, manifestPath) {
+    var topGit = manifestlib.parseGitSource(topPath);
+    var git = manifestlib.parseGitSource(manifestPath);
+    if (topGit && git && git.url === topGit.url && git.ref === topGit.ref) {
+        return path.posix.relative(path.posix.dirname(topGit.path), git.path);
+    } else if (!topGit && !git) {
+        return path.relative(path.dirname(topPath), manifestPath);
+    }
+    return manifestPath;
+}
+
+/*
+ * Gather what `diffManifests` compares from one side's loaded manifests (see
+ * `_loadAll`).
+ */
+function _diffSide(loaded) {
+    var topPath = loaded.manifestInfos[0].manifestPath;
+    var side = {
+        repoFromName: new Map(),
+        excluded: new Set(),
+        // Default labels, keyed by manifest key.
+        defaultsFromKey: new Map(),
+        keyFromPath: new Map()
+    };
+
+    for (var repo of loaded.repos) {
+        side.repoFromName.set(repo.name, repo);
+    }
+    for (var info of loaded.manifestInfos) {
+        var key = _diffManifestKey(topPath, info.manifestPath);
+        side.keyFromPath.set(info.manifestPath, key);
+        side.defaultsFromKey.set(
+            key,
+            (info.manifest.defaults && info.manifest.defaults.labels) || {}
+        );
+        for (var entry of info.manifest.excludedRepositories || []) {
+            side.excluded.add(manifestlib.exclusionName(entry));
+        }
+    }
+
+    return side;
+}
+
+function _sortedUnion(a, b) {
+    return Array.from(new Set(a.concat(b))).sort();
+}
+
+/*
+ * The state of the named repo in the given manifest revision (see
+ * `manifestlib.readManifestHistory`), for `blameRepo`. Revisions are not
+ * validated, so this is defensive about their shape.
+ */
+function _blameState(manifest, name) {
+    var state = {listed: false, excluded: false, labels: {}};
+    if (!manifest || typeof manifest !== 'object') {
+        return state;
+    }
+
+    var repos = Array.isArray(manifest.repositories)
+        ? manifest.repositories
+        : [];
+    var repo = repos.find(function aRepo(r) {
+        return r && r.name === name;
+    });
+    if (repo) {
+        state.listed = true;
+        state.labels = Object.assign(
+            {},
+            manifestlib.repoBaseLabels(manifest, name).labels,
+            repo.labels
+        );
+    }
+    state.excluded =
+        Array.isArray(manifest.excludedRepositories) &&
+        manifest.excludedRepositories.some(function anExcl(entry) {
+            return entry && manifestlib.exclusionName(entry) === name;
+        });
+
+    return state;
+}
+
+/*
+ * Apply a label change (as from `updateRepoLabels`) to the local labels file
+ * manifest object, as `manifestlib.applyLabelChange` does. A repo entry is
+ * added for a label being set on a repo that the file does not yet define.
+ * If `edit.prune` is true, a repo entry left without labels is removed, as it
+ * no longer adds anything to the configured manifests.
+ */
+function _applyLocalLabelChange(manifestPath, manifest, edit) {
+    if (!manifest.repositories) {
+        manifest.repositories = [];
+    }
+    var index = manifest.repositories.findIndex(function isRepo(r) {
+        return r.name === edit.repo;
+    });
+    if (index === -1) {
+        if (edit.value === undefined) {
+            return null;
+        }
+        manifest.repositories.push({name: edit.repo});
+        index = manifest.repositories.length - 1;
+    }
+
+    var change = manifestlib.applyLabelChange(
+        manifestPath,
+        manifest,
+        edit.repo,
+        edit.label,
+        edit.value
+    );
+
+    var entry = manifest.repositories[index];
+    if (edit.prune && Object.keys(entry).length === 1) {
+        manifest.repositories.splice(index, 1);
+    }
+    return change;
+}
+
+/*
+ * Edit the local labels file, as `manifestlib.editManifest` does. If the file
+ * does not exist, the edit starts from an empty manifest, and the file (and
+ * its dir) is only created if it is saved.
+ */
+function _editLocalLabels(manifestPath, editFn, cb) {
+    fs.stat(manifestPath, function onStat(statErr) {
+        if (!statErr) {
+            manifestlib.editManifest(manifestPath, editFn, cb);
+            return;
+        } else if (statErr.code !== 'ENOENT') {
+            cb(statErr);
+            return;
+        }
+
+        var manifest = {jrVersion: 1, repositories: []};
+        var save;
+        try {
+            save = editFn(manifest);
+        } catch (editErr) {
+            cb(editErr);
+            return;
+        }
+
+        var errs = manifestlib.validateManifest(manifest);
+        if (errs.length > 0) {
+            cb(manifestlib.manifestValidationError(manifestPath, errs));
+        } else if (save === false) {
+            cb();
+        } else {
+            mkdirp(path.dirname(manifestPath), function onMkdir(mkdirErr) {
+                if (mkdirErr) {
+                    cb(mkdirErr);
+                } else {
+                    manifestlib.saveManifest(manifestPath, manifest, cb);
+                }
+            });
+        }
+    });
+}
+
+/*
+ * Create a manager for the repos in the given manifests.
+ *
+ * A JoyentReposManager is an EventEmitter. It emits 'warning' (with a message
+ * string) for non-fatal issues, e.g. resolved label conflicts. If there are
+ * no 'warning' listeners, warnings are logged.
+ *
+ * @param {Object} opts
+ *      - @param {Object} opts.log - A bunyan logger.
+ *      - @param {Array} opts.manifestPaths - Manifest file paths or git
+ *        sources.
+ *      - @param {String} opts.gitCacheDir - Optional. The dir under which
+ *        git repos for git manifest sources are cached.
+ *      - @param {String} opts.localLabelsPath - Optional. The path of a
+ *        per-user "local labels" manifest file, merged on top of the
+ *        configured manifests to add labels and repos only for this user.
+ *        It need not exist. See `_loadAll` and `updateRepoLabels`.
+ *      - @param {String} opts.labelConflictPolicy - Optional. One of
+ *        `LABEL_CONFLICT_POLICIES`. Default "error". See `_loadAll`.
+ *      - @param {String} opts.repoPathTemplate - Optional. A template for the
+ *        path of each repo clone under the base dir (see
+ *        "lib/pathtemplate.js"). This overrides any manifest
+ *        `repoPathTemplate`.
+ *      - @param {String} opts.cloneProtocol - Optional. The protocol with
+ *        which to clone repos, "ssh" (the default) or "https".
+ *      - @param {Number} opts.concurrency - Optional. The default number of
+ *        repos to operate on concurrently. Default 10.
+ */
 function JoyentReposManager(opts) {
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
     assert.arrayOfString(opts.manifestPaths, 'opts.manifestPaths');
+    assert.optionalString(opts.gitCacheDir, 'opts.gitCacheDir');
+    assert.optionalString(opts.localLabelsPath, 'opts.localLabelsPath');
+    assert.optionalString(opts.labelConflictPolicy, 'opts.labelConflictPolicy');
+    if (opts.labelConflictPolicy) {
+        assert.ok(
+            LABEL_CONFLICT_POLICIES.indexOf(opts.labelConflictPolicy) !== -1,
+            'invalid opts.labelConflictPolicy: ' + opts.labelConflictPolicy
+        );
+    }
+
+    assert.optionalString(opts.repoPathTemplate, 'opts.repoPathTemplate');
+    assert.optionalString(opts.cloneProtocol, 'opts.cloneProtocol');
+    if (opts.cloneProtocol) {
+        assert.ok(
+            CLONE_PROTOCOLS.indexOf(opts.cloneProtocol) !== -1,
+            'invalid opts.cloneProtocol: ' + opts.cloneProtocol
+        );
+    }
+    assert.optionalNumber(opts.concurrency, 'opts.concurrency');
+
+    EventEmitter.call(this);
 
     this.manifestPaths = opts.manifestPaths;
+    this.gitCacheDir = opts.gitCacheDir;
+    this.localLabelsPath = opts.localLabelsPath || null;
+    this.labelConflictPolicy = opts.labelConflictPolicy || 'error';
+    this.repoPathTemplate = opts.repoPathTemplate
+        ? pathtemplate.parseRepoPathTemplate(opts.repoPathTemplate)
+        : null;
+    this.cloneProtocol = opts.cloneProtocol || 'ssh';
+    this.concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+    // The last loaded repos, by name, for `getRepoPath`.
+    this._repoFromName = null;
 
     // Make sure a given bunyan logger has reasonable client_re[qs] serializers.
     // Note: This was fixed in restify, then broken again in
@@ -251,104 +648,882 @@ function JoyentReposManager(opts) {
         this.log = opts.log;
     }
 }
+util.inherits(JoyentReposManager, EventEmitter);
 
-JoyentReposManager.prototype._loadManifests = function _loadManifests(cb) {
+JoyentReposManager.prototype._warn = function _warn(msg) {
+    assert.string(msg, 'msg');
+
+    if (this.listenerCount('warning') > 0) {
+        this.emit('warning', msg);
+    } else {
+        this.log.warn(msg);
+    }
+};
+
+/*
+ * Read the given manifests and, recursively, the manifests they
+ * `include`. Relative include paths are resolved against the directory of the
+ * including manifest (see `manifestlib.resolveInclude`).
+ *
+ * This calls back with `cb(err, manifestInfos)`, where `manifestInfos` is an
+ * array of `{manifestPath, manifest}` objects in merge order: each manifest
+ * followed by the manifests it includes, depth first. A manifest that is
+ * reached more than once is only read the first time. An include cycle is an
+ * error.
+ *
+ * If `opts.localLabels` is true and the local labels file exists (see the
+ * `localLabelsPath` constructor option), it is read last and its info has
+ * `local: true`. Its `include`s are not read.
+ */
+JoyentReposManager.prototype._readManifests = function _readManifests(
+    manifestPaths,
+    opts,
+    cb
+) {
+    assert.arrayOfString(manifestPaths, 'manifestPaths');
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.localLabels, 'opts.localLabels');
     assert.func(cb, 'cb');
 
-    var self = this;
-    var repoFromName = new Map();
+    var localLabelsPath = opts.localLabels ? this.localLabelsPath : null;
+
+    var manifestInfos = [];
+    var readOpts = {gitCacheDir: this.gitCacheDir};
+    var seen = new Set();
+
+    function readTree(manifestPath, stack, next) {
+        if (stack.indexOf(manifestPath) !== -1) {
+            next(
+                new VError(
+                    'manifest include cycle: %s',
+                    stack.concat([manifestPath]).join(' -> ')
+                )
+            );
+            return;
+        } else if (seen.has(manifestPath)) {
+            next();
+            return;
+        }
+        seen.add(manifestPath);
+
+        manifestlib.readManifest(manifestPath, readOpts, function onRead(
+            err,
+            manifest
+        ) {
+            if (err) {
+                next(err);
+                return;
+            }
+            manifestInfos.push({
+                manifestPath: manifestPath,
+                manifest: manifest
+            });
+
+            var includeStack = stack.concat([manifestPath]);
+            vasync.forEachPipeline(
+                {
+                    inputs: manifest.include || [],
+                    func: function readInclude(includePath, nextInclude) {
+                        var resolved;
+                        try {
+                            resolved = manifestlib.resolveInclude(
+                                manifestPath,
+                                includePath
+                            );
+                        } catch (includeErr) {
+                            nextInclude(
+                                new VError(
+                                    includeErr,
+                                    'invalid include in "%s"',
+                                    manifestPath
+                                )
+                            );
+                            return;
+                        }
+                        readTree(resolved, includeStack, nextInclude);
+                    }
+                },
+                function doneIncludes(includeErr) {
+                    next(includeErr);
+                }
+            );
+        });
+    }
 
-    vasync.forEachParallel(
+    vasync.forEachPipeline(
         {
-            inputs: self.manifestPaths,
-            func: function loadManifest(manifestPath, next) {
-                fs.readFile(manifestPath, 'utf8', function onRead(
-                    readErr,
-                    content
+            inputs: manifestPaths,
+            func: function readTopManifest(manifestPath, next) {
+                var normalized;
+                try {
+                    normalized = manifestlib.normalizeManifestPath(
+                        manifestPath
+                    );
+                } catch (normErr) {
+                    next(normErr);
+                    return;
+                }
+                readTree(normalized, [], next);
+            }
+        },
+        function doneRead(err) {
+            if (err) {
+                cb(err);
+                return;
+            } else if (!localLabelsPath) {
+                cb(null, manifestInfos);
+                return;
+            }
+
+            fs.stat(localLabelsPath, function onStat(statErr) {
+                if (statErr && statErr.code === 'ENOENT') {
+                    cb(null, manifestInfos);
+                    return;
+                } else if (statErr) {
+                    cb(statErr);
+                    return;
+                }
+                manifestlib.readManifest(localLabelsPath, {}, function onRead(
+                    localErr,
+                    manifest
                 ) {
-                    if (readErr) {
-                        next(
-                            new VError(
-                                readErr,
-                                'could not read repos manifest "%s"',
-                                manifestPath
-                            )
-                        );
+                    if (localErr) {
+                        cb(localErr);
                         return;
                     }
+                    manifestInfos.push({
+                        manifestPath: localLabelsPath,
+                        manifest: manifest,
+                        local: true
+                    });
+                    cb(null, manifestInfos);
+                });
+            });
+        }
+    );
+};
 
-                    var manifest;
-                    try {
-                        manifest = JSON.parse(content);
-                    } catch (parseErr) {
-                        next(
-                            new VError(
-                                parseErr,
-                                'repos manifest "%s" is not valid JSON',
-                                manifestPath
-                            )
+/*
+ * Load and merge the repos from all manifests: the configured manifests, or
+ * `opts.manifestPaths` if given.
+ *
+ * Repos that appear in more than one manifest have their labels merged. When
+ * two manifests give different values for the same label of a repo, that is a
+ * "label conflict". Which value is used is decided by the label conflict
+ * policy (`opts.labelConflictPolicy`):
+ *
+ * - "error": The conflict is an error (for `_loadManifests`).
+ * - "first-wins": The value from the manifest loaded first is used.
+ * - "last-wins": The value from the manifest loaded last is used.
+ * - "priority": The value from the manifest with the higher `priority` is
+ *   used. With equal priority, the first wins.
+ *
+ * Each manifest's repo entries get that manifest's `defaults` and `groups`
+ * labels (see `manifestlib.repoBaseLabels`) before they are merged.
+ *
+ * Each merged repo object records its provenance:
+ *      - `manifests`: an array of the paths of the manifests that define the
+ *        repo, in load order
+ *      - `labelSources`: an object mapping each label name to the path of the
+ *        manifest from which the label's value came
+ *      - `labelFrom`: an object mapping each label name to where in that
+ *        manifest the value came from: "repo" (the repo entry), "defaults",
+ *        or "group:NAME"
+ *      - `groups`: an array of the names of the manifest groups of which the
+ *        repo is a member
+ *
+ * The `metadata` of a repo in multiple manifests is merged by top-level key.
+ * The value from the manifest loaded first is used, without a conflict,
+ * except that values from the local labels file always win.
+ *
+ * The `formerNames` of a repo in multiple manifests are merged.
+ *
+ * Unless `opts.manifestPaths` is given, the local labels file (if any, see
+ * the `localLabelsPath` constructor option) is merged last, on top of the
+ * configured manifests. Its label values always win, without a conflict. A
+ * repo defined only in the local labels file has `local: true`.
+ *
+ * Each merged repo also gets a `clonePath`: the path of its clone relative to
+ * a base dir. This is from the `repoPathTemplate` option, else that of the
+ * first manifest defining the repo, else the default "{name}". If the template
+ * cannot be rendered for a repo, or its path is the same as, or nested in,
+ * that of another repo, the repo instead gets a `clonePathError` (see
+ * `_checkClonePaths`).
+ *
+ * This calls back with `cb(err, loaded)`, where `loaded` has:
+ *      - `manifestInfos`: the manifests read, as from `_readManifests`
+ *      - `repos`: an array of the merged repo objects
+ *      - `conflicts`: an array of label conflicts, each an object with `repo`
+ *        (the repo name), `label`, `first` and `second` (each an object with
+ *        the `value` and `manifestPath` of one side of the conflict, in merge
+ *        order), and `winner` (one of "first", "second" or null if the policy
+ *        is "error").
+ */
+JoyentReposManager.prototype._loadAll = function _loadAll(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.manifestPaths, 'opts.manifestPaths');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var policy = this.labelConflictPolicy;
+    var repoFromName = new Map();
+    var conflicts = [];
+    // The manifestInfo from which each repo label value came, keyed by repo
+    // name, then label name.
+    var labelOrigins = new Map();
+    var manifestPaths = opts.manifestPaths || this.manifestPaths;
+
+    var readOpts = {localLabels: !opts.manifestPaths};
+
+    this._readManifests(manifestPaths, readOpts, function onRead(
+        readErr,
+        manifestInfos
+    ) {
+        if (readErr) {
+            cb(readErr);
+            return;
+        }
+
+        for (var info of manifestInfos) {
+            var manifestPath = info.manifestPath;
+            var manifest = info.manifest;
+            var repos = manifest.repositories || [];
+
+            for (var i = 0; i < repos.length; i++) {
+                var repo = repos[i];
+                var valErr = _validateRepo(repo, manifestPath);
+                if (valErr) {
+                    cb(valErr);
+                    return;
+                }
+                var base = manifestlib.repoBaseLabels(manifest, repo.name);
+                repo.labelFrom = base.from;
+                for (var ownLabel of Object.keys(repo.labels || {})) {
+                    repo.labelFrom[ownLabel] = 'repo';
+                }
+                repo.labels = jsprim.mergeObjects(
+                    repo.labels,
+                    undefined,
+                    base.labels
+                );
+                repo.groups = manifestlib
+                    .repoGroups(manifest, repo.name)
+                    .map(function groupName(group) {
+                        return group.name;
+                    });
+                _normalizeRepo(repo, manifest.source);
+
+                var existingRepo = repoFromName.get(repo.name);
+                if (!existingRepo) {
+                    if (info.local) {
+                        repo.local = true;
+                    }
+                    repo.manifests = [manifestPath];
+                    repoFromName.set(repo.name, repo);
+                    var origins = {};
+                    for (var label of Object.keys(repo.labels)) {
+                        origins[label] = info;
+                    }
+                    labelOrigins.set(repo.name, origins);
+                    continue;
+                }
+
+                if (existingRepo.manifests.indexOf(manifestPath) === -1) {
+                    existingRepo.manifests.push(manifestPath);
+                }
+                for (var formerName of repo.formerNames || []) {
+                    if (!existingRepo.formerNames) {
+                        existingRepo.formerNames = [];
+                    }
+                    if (existingRepo.formerNames.indexOf(formerName) === -1) {
+                        existingRepo.formerNames.push(formerName);
+                    }
+                }
+                for (var groupName of repo.groups) {
+                    if (existingRepo.groups.indexOf(groupName) === -1) {
+                        existingRepo.groups.push(groupName);
+                    }
+                }
+
+                // Merge metadata: the first manifest to give a top-level
+                // metadata key wins, except for the local labels file.
+                if (repo.metadata) {
+                    existingRepo.metadata = info.local
+                        ? Object.assign(
+                              {},
+                              existingRepo.metadata,
+                              repo.metadata
+                          )
+                        : Object.assign(
+                              {},
+                              repo.metadata,
+                              existingRepo.metadata
+                          );
+                }
+
+                // Merge labels.
+                var existingOrigins = labelOrigins.get(repo.name);
+                for (var ln of Object.keys(repo.labels)) {
+                    var lv = repo.labels[ln];
+                    var existingLv = existingRepo.labels[ln];
+                    if (existingLv === undefined || info.local) {
+                        existingRepo.labels[ln] = lv;
+                        existingRepo.labelFrom[ln] = repo.labelFrom[ln];
+                        existingOrigins[ln] = info;
+                    } else if (existingLv !== lv) {
+                        var existingInfo = existingOrigins[ln];
+                        var winner = _conflictWinner(
+                            policy,
+                            existingInfo,
+                            info
                         );
-                        return;
+                        conflicts.push({
+                            repo: repo.name,
+                            label: ln,
+                            first: {
+                                value: existingLv,
+                                manifestPath: existingInfo.manifestPath
+                            },
+                            second: {
+                                value: lv,
+                                manifestPath: manifestPath
+                            },
+                            winner: winner
+                        });
+                        if (winner === 'second') {
+                            existingRepo.labels[ln] = lv;
+                            existingRepo.labelFrom[ln] = repo.labelFrom[ln];
+                            existingOrigins[ln] = info;
+                        }
                     }
-                    // TODO: validate the manifest (schema would be nice)
+                }
+            }
+        }
 
-                    var repos = manifest.repositories;
-                    var defaults = manifest.defaults;
+        var templateFromPath = new Map();
+        for (var manifestInfo of manifestInfos) {
+            var tmpl = manifestInfo.manifest.repoPathTemplate;
+            templateFromPath.set(
+                manifestInfo.manifestPath,
+                tmpl ? pathtemplate.parseRepoPathTemplate(tmpl) : null
+            );
+        }
+        var defaultTemplate = pathtemplate.parseRepoPathTemplate(
+            pathtemplate.DEFAULT_REPO_PATH_TEMPLATE
+        );
 
-                    for (var i = 0; i < repos.length; i++) {
-                        var repo = repos[i];
-                        repo.labels = jsprim.mergeObjects(
-                            repo.labels,
-                            undefined,
-                            defaults.labels
+        for (var mergedRepo of repoFromName.values()) {
+            var mergedOrigins = labelOrigins.get(mergedRepo.name);
+            mergedRepo.labelSources = {};
+            for (var originLabel of Object.keys(mergedOrigins)) {
+                mergedRepo.labelSources[originLabel] =
+                    mergedOrigins[originLabel].manifestPath;
+            }
+
+            var template =
+                self.repoPathTemplate ||
+                templateFromPath.get(mergedRepo.manifests[0]) ||
+                defaultTemplate;
+            try {
+                mergedRepo.clonePath = pathtemplate.renderRepoPath(
+                    template,
+                    mergedRepo
+                );
+            } catch (tmplErr) {
+                // Only an error for commands using this repo's clone (see
+                // `getRepoPath`), so that other commands still work.
+                mergedRepo.clonePathError = tmplErr;
+            }
+
+            // Where clones made under former names would be, for
+            // `findFormerClones`.
+            if (mergedRepo.formerNames) {
+                mergedRepo.formerClonePaths = {};
+                for (var fn of mergedRepo.formerNames) {
+                    try {
+                        mergedRepo.formerClonePaths[
+                            fn
+                        ] = pathtemplate.renderRepoPath(
+                            template,
+                            Object.assign({}, mergedRepo, {name: fn})
                         );
-                        var valErr = _validateRepo(repo, manifestPath);
-                        if (valErr) {
-                            next(valErr);
-                            return;
+                    } catch (_formerTmplErr) {
+                        // No former clone path for this name.
+                    }
+                }
+            }
+        }
+
+        _checkClonePaths(Array.from(repoFromName.values()));
+
+        cb(null, {
+            manifestInfos: manifestInfos,
+            repos: Array.from(repoFromName.values()),
+            conflicts: conflicts
+        });
+    });
+};
+
+/*
+ * Load and merge the repos from all manifests, handling label conflicts per
+ * the label conflict policy (see `_loadAll`).
+ */
+JoyentReposManager.prototype._loadManifests = function _loadManifests(cb) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+
+    this._loadAll({}, function onLoad(err, loaded) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        if (
+            loaded.conflicts.length > 0 &&
+            self.labelConflictPolicy === 'error'
+        ) {
+            cb(
+                new VError(
+                    {
+                        name: 'LabelConflictError',
+                        info: {conflicts: loaded.conflicts}
+                    },
+                    '%d conflicting label value(s) between manifests:\n    %s',
+                    loaded.conflicts.length,
+                    loaded.conflicts.map(_fmtConflict).join('\n    ')
+                )
+            );
+            return;
+        }
+
+        for (var conflict of loaded.conflicts) {
+            self._warn(
+                util.format(
+                    '%s, using %j',
+                    _fmtConflict(conflict),
+                    conflict[conflict.winner].value
+                )
+            );
+        }
+        self._repoFromName = new Map(
+            loaded.repos.map(function aRepo(repo) {
+                return [repo.name, repo];
+            })
+        );
+        cb(null, loaded.repos);
+    });
+};
+
+/*
+ * List all label conflicts between the loaded manifests, regardless of the
+ * label conflict policy. See `_loadAll` for the conflict object fields.
+ *
+ * @param {Function} cb - `function (err, conflicts)`
+ */
+JoyentReposManager.prototype.listLabelConflicts = function listLabelConflicts(
+    cb
+) {
+    assert.func(cb, 'cb');
+
+    this._loadAll({}, function onLoad(err, loaded) {
+        if (err) {
+            cb(err);
+        } else {
+            cb(null, loaded.conflicts);
+        }
+    });
+};
+
+/*
+ * Compare the repos from two manifests, e.g. two revisions of the same
+ * manifest. Each side is loaded and merged as for `_loadAll`, including the
+ * manifests it includes. Included manifests are matched between the sides by
+ * their path relative to the top manifest.
+ *
+ * @param {Object} opts
+ *      - @param {String} opts.oldManifestPath - A manifest file path or git
+ *        source.
+ *      - @param {String} opts.newManifestPath - Likewise.
+ * @param {Function} cb - `function (err, diff)` where `diff` has:
+ *      - `reposAdded`, `reposRemoved`: arrays of repo names
+ *      - `labelChanges`: an array of `{repo, label, oldValue, newValue}` for
+ *        repos on both sides. `oldValue` or `newValue` is undefined for an
+ *        added or removed label. Changes that are due to a change in
+ *        `defaults` are not included here, but in `defaultsChanges`.
+ *      - `defaultsChanges`: an array of `{manifest, label, oldValue,
+ *        newValue, repos}`, where `manifest` is the manifest key (see
+ *        `_diffManifestKey`) and `repos` is an array of the names of the
+ *        repos on both sides whose label value changed with it
+ *      - `exclusionsAdded`, `exclusionsRemoved`: arrays of repo names
+ */
+JoyentReposManager.prototype.diffManifests = function diffManifests(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.oldManifestPath, 'opts.oldManifestPath');
+    assert.string(opts.newManifestPath, 'opts.newManifestPath');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var sides = [];
+
+    vasync.forEachPipeline(
+        {
+            inputs: [opts.oldManifestPath, opts.newManifestPath],
+            func: function loadSide(manifestPath, next) {
+                self._loadAll({manifestPaths: [manifestPath]}, function onLoad(
+                    err,
+                    loaded
+                ) {
+                    if (!err) {
+                        sides.push(_diffSide(loaded));
+                    }
+                    next(err);
+                });
+            }
+        },
+        function doneLoad(err) {
+            if (err) {
+                cb(err);
+                return;
+            }
+
+            var oldSide = sides[0];
+            var newSide = sides[1];
+            var diff = {
+                reposAdded: [],
+                reposRemoved: [],
+                labelChanges: [],
+                defaultsChanges: [],
+                exclusionsAdded: [],
+                exclusionsRemoved: []
+            };
+
+            var keys = _sortedUnion(
+                Array.from(oldSide.defaultsFromKey.keys()),
+                Array.from(newSide.defaultsFromKey.keys())
+            );
+            for (var key of keys) {
+                var oldDefaults = oldSide.defaultsFromKey.get(key) || {};
+                var newDefaults = newSide.defaultsFromKey.get(key) || {};
+                for (var dl of _sortedUnion(
+                    Object.keys(oldDefaults),
+                    Object.keys(newDefaults)
+                )) {
+                    if (oldDefaults[dl] !== newDefaults[dl]) {
+                        diff.defaultsChanges.push({
+                            manifest: key,
+                            label: dl,
+                            oldValue: oldDefaults[dl],
+                            newValue: newDefaults[dl],
+                            repos: []
+                        });
+                    }
+                }
+            }
+
+            var names = _sortedUnion(
+                Array.from(oldSide.repoFromName.keys()),
+                Array.from(newSide.repoFromName.keys())
+            );
+            for (var name of names) {
+                var oldRepo = oldSide.repoFromName.get(name);
+                var newRepo = newSide.repoFromName.get(name);
+                if (!oldRepo) {
+                    diff.reposAdded.push(name);
+                    continue;
+                } else if (!newRepo) {
+                    diff.reposRemoved.push(name);
+                    continue;
+                }
+
+                for (var label of _sortedUnion(
+                    Object.keys(oldRepo.labels),
+                    Object.keys(newRepo.labels)
+                )) {
+                    var oldValue = oldRepo.labels[label];
+                    var newValue = newRepo.labels[label];
+                    if (oldValue === newValue) {
+                        continue;
+                    }
+
+                    // A change is due to `defaults` if the value moved with
+                    // a changed default of the manifest it comes from.
+                    var sourceKey =
+                        newValue !== undefined
+                            ? newSide.keyFromPath.get(
+                                  newRepo.labelSources[label]
+                              )
+                            : oldSide.keyFromPath.get(
+                                  oldRepo.labelSources[label]
+                              );
+                    var dc = null;
+                    for (var c of diff.defaultsChanges) {
+                        if (
+                            c.manifest === sourceKey &&
+                            c.label === label &&
+                            c.oldValue === oldValue &&
+                            c.newValue === newValue
+                        ) {
+                            dc = c;
+                            break;
                         }
-                        _normalizeRepo(repo);
-
-                        var existingRepo = repoFromName.get(repo.name);
-                        if (existingRepo) {
-                            // Merge labels. Error out on conflicting label
-                            // value for now.
-                            var newLabelNames = Object.keys(repo.labels);
-                            for (var ln of newLabelNames) {
-                                var lv = repo.labels[ln];
-                                var existingLv = existingRepo.labels[ln];
-                                if (existingLv === undefined) {
-                                    existingRepo.labels[ln] = lv;
-                                } else if (existingLv !== lv) {
-                                    next(
-                                        new VError(
-                                            'conflicting label "%s" for ' +
-                                                'repo "%s": %j vs %j',
-                                            ln,
-                                            repo.name,
-                                            existingRepo.labels,
-                                            repo.labels
-                                        )
+                    }
+                    if (dc) {
+                        dc.repos.push(name);
+                    } else {
+                        diff.labelChanges.push({
+                            repo: name,
+                            label: label,
+                            oldValue: oldValue,
+                            newValue: newValue
+                        });
+                    }
+                }
+            }
+
+            for (var excl of _sortedUnion(
+                Array.from(oldSide.excluded),
+                Array.from(newSide.excluded)
+            )) {
+                if (!oldSide.excluded.has(excl)) {
+                    diff.exclusionsAdded.push(excl);
+                } else if (!newSide.excluded.has(excl)) {
+                    diff.exclusionsRemoved.push(excl);
+                }
+            }
+
+            cb(null, diff);
+        }
+    );
+};
+
+/*
+ * Walk the git history of the manifests (including those they include) for
+ * changes to the named repo. Each manifest must be a file in a git working
+ * copy, or a git source. Uncommitted changes are not included.
+ *
+ * A repo's labels in a manifest revision include that revision's `defaults`
+ * and `groups` labels, so a change to those is a label change for the repos
+ * it affects.
+ *
+ * @param {Object} opts
+ *      - @param {String} opts.name - The repo name.
+ * @param {Function} cb - `function (err, events)` where `events` is an array
+ *      of objects, oldest first, with the `manifestPath`, and the `commit`,
+ *      `author`, `date` and `subject` of the git commit, and:
+ *          - `event`: one of "added" (to `repositories`), "removed" (from
+ *            `repositories`), "excluded", "unexcluded" or "label"
+ *          - `label`, `oldValue`, `newValue`: for a "label" event. A label
+ *            first set when the repo is added has no `oldValue`.
+ */
+JoyentReposManager.prototype.blameRepo = function blameRepo(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.string(opts.name, 'opts.name');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var events = [];
+
+    this._readManifests(this.manifestPaths, {}, function onRead(
+        readErr,
+        manifestInfos
+    ) {
+        if (readErr) {
+            cb(readErr);
+            return;
+        }
+
+        vasync.forEachPipeline(
+            {
+                inputs: manifestInfos,
+                func: function blameManifest(info, next) {
+                    manifestlib.readManifestHistory(
+                        info.manifestPath,
+                        {gitCacheDir: self.gitCacheDir},
+                        function onHistory(err, revisions) {
+                            if (err) {
+                                next(err);
+                                return;
+                            }
+
+                            var prev = _blameState(null, opts.name);
+                            for (var rev of revisions) {
+                                var cur = _blameState(rev.manifest, opts.name);
+                                var base = {
+                                    manifestPath: info.manifestPath,
+                                    commit: rev.commit,
+                                    author: rev.author,
+                                    date: rev.date,
+                                    subject: rev.subject
+                                };
+
+                                if (cur.listed !== prev.listed) {
+                                    events.push(
+                                        Object.assign({}, base, {
+                                            event: cur.listed
+                                                ? 'added'
+                                                : 'removed'
+                                        })
                                     );
-                                    return;
                                 }
+                                if (cur.excluded !== prev.excluded) {
+                                    events.push(
+                                        Object.assign({}, base, {
+                                            event: cur.excluded
+                                                ? 'excluded'
+                                                : 'unexcluded'
+                                        })
+                                    );
+                                }
+                                if (cur.listed) {
+                                    var labels = Object.keys(
+                                        Object.assign(
+                                            {},
+                                            prev.labels,
+                                            cur.labels
+                                        )
+                                    ).sort();
+                                    for (var label of labels) {
+                                        if (
+                                            prev.labels[label] ===
+                                            cur.labels[label]
+                                        ) {
+                                            continue;
+                                        }
+                                        events.push(
+                                            Object.assign({}, base, {
+                                                event: 'label',
+                                                label: label,
+                                                oldValue: prev.labels[label],
+                                                newValue: cur.labels[label]
+                                            })
+                                        );
+                                    }
+                                }
+
+                                prev = cur;
                             }
-                        } else {
-                            repoFromName.set(repo.name, repo);
+                            next();
                         }
-                    }
+                    );
+                }
+            },
+            function doneBlame(err) {
+                if (err) {
+                    cb(err);
+                    return;
+                }
+                // Interleave the events from each manifest by date, keeping
+                // the order of events with the same date.
+                var indexed = events.map(function anEvent(ev, i) {
+                    return {ev: ev, i: i};
+                });
+                indexed.sort(function byDate(a, b) {
+                    return (
+                        new Date(a.ev.date) - new Date(b.ev.date) || a.i - b.i
+                    );
+                });
+                cb(
+                    null,
+                    indexed.map(function unwrap(x) {
+                        return x.ev;
+                    })
+                );
+            }
+        );
+    });
+};
+
+/*
+ * Refresh the cached clones of git repos used by git manifest sources
+ * (`git+$url#$ref:$path`), including those reached via `include`. Repos that
+ * are not yet cached are cloned.
+ *
+ * @param {Function} cb - `function (err, urls)` where `urls` is the array of
+ *      refreshed git repo URLs.
+ */
+JoyentReposManager.prototype.refreshManifestCache = function refreshManifestCache(
+    cb
+) {
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var refreshedUrls = [];
+
+    function refreshUrls(manifestPaths, next) {
+        var urls = [];
+        for (var manifestPath of manifestPaths) {
+            var gitSource;
+            try {
+                gitSource = manifestlib.parseGitSource(manifestPath);
+            } catch (parseErr) {
+                next(parseErr);
+                return;
+            }
+            if (
+                gitSource &&
+                refreshedUrls.indexOf(gitSource.url) === -1 &&
+                urls.indexOf(gitSource.url) === -1
+            ) {
+                urls.push(gitSource.url);
+            }
+        }
+
+        vasync.forEachPipeline(
+            {
+                inputs: urls,
+                func: function refreshUrl(url, nextUrl) {
+                    self.log.debug({url: url}, 'refresh git manifest cache');
+                    manifestlib.refreshGitCache(
+                        url,
+                        {gitCacheDir: self.gitCacheDir},
+                        function onRefresh(err) {
+                            if (!err) {
+                                refreshedUrls.push(url);
+                            }
+                            nextUrl(err);
+                        }
+                    );
+                }
+            },
+            next
+        );
+    }
+
+    if (!self.gitCacheDir) {
+        cb(new VError('no git cache dir is configured'));
+        return;
+    }
 
-                    next();
-                });
-            }
+    vasync.pipeline(
+        {
+            arg: {},
+            funcs: [
+                function refreshConfigured(_, next) {
+                    refreshUrls(self.manifestPaths, next);
+                },
+                // Refreshed manifests may include other git sources.
+                function readAll(ctx, next) {
+                    self._readManifests(self.manifestPaths, {}, function onRead(
+                        err,
+                        manifestInfos
+                    ) {
+                        ctx.manifestInfos = manifestInfos;
+                        next(err);
+                    });
+                },
+                function refreshIncluded(ctx, next) {
+                    refreshUrls(
+                        ctx.manifestInfos.map(function anInfo(info) {
+                            return info.manifestPath;
+                        }),
+                        next
+                    );
+                }
+            ]
         },
-        function doneLoad(err) {
-            if (err) {
-                cb(err);
-            } else {
-                var repos = Array.from(repoFromName.values());
-                cb(null, repos);
-            }
+        function doneRefresh(err) {
+            cb(err, refreshedUrls);
         }
     );
 };
@@ -362,6 +1537,11 @@ JoyentReposManager.prototype._loadManifests = function _loadManifests(cb) {
  *
  *      jr list rfd sdc-*
  *
+ * A name of the form "/regex/flags" matches repo names by regular
+ * expression instead, e.g.:
+ *
+ *      jr list '/^sdc-(img|vm)api$/'
+ *
  * Then the list is filtered by given `opts.labelSelectors`. These are an
  * array of AND'd selectors that match against each repo's labels.
  * `labelSelectors` support a syntax that is (a) similar and (b) a subset of
@@ -369,6 +1549,17 @@ JoyentReposManager.prototype._loadManifests = function _loadManifests(cb) {
  *
  *  - `key = value` uses strict JS comparison (`===`)
  *  - `key != value` uses strict JS comparison (`!==`)
+ *  - `key in (value1, value2, ...)` matches if key is present and its value
+ *    is one of the given values
+ *  - `key notin (value1, value2, ...)` matches if key is not present or its
+ *    value is none of the given values
+ *  - `key < number`, `key <= number`, `key > number` and `key >= number`
+ *    compare numerically: they match if key is present and its value
+ *    compares as given. A value that is not a number is an error.
+ *  - `key =~ /regex/flags` matches if key is present and its value (as a
+ *    string) matches the regular expression
+ *  - `key !~ /regex/flags` matches if key is not present or its value does
+ *    not match the regular expression
  *  - `key` matches if key is present and value is truthy
  *  - `!key` matches if key is not present or key value is falsey
  *
@@ -376,14 +1567,38 @@ JoyentReposManager.prototype._loadManifests = function _loadManifests(cb) {
  *
  *      jr list -l triton
  *      jr list -l lang=js
+ *      jr list -l 'tritonservice in (imgapi, papi, vmapi)'
+ *      jr list -l 'nodever<8'
+ *      jr list -l 'mg=~/[0-9]$/'
+ *
+ * A selector key starting with "@" is a pseudo-label (see `PSEUDO_LABELS` in
+ * "lib/selector.js"), e.g. `@manifest=GLOB` matches repos defined in a
+ * manifest whose path (or basename, if GLOB has no "/") matches GLOB, and
+ * `@group=NAME` matches repos in the named manifest group. `@metadata.PATH`
+ * selectors match the value at the dotted PATH in the repo's `metadata`,
+ * e.g. `@metadata.owners=trentm` matches repos with "trentm" in their
+ * `metadata.owners` array.
+ *
+ * The clone state pseudo-labels (see `CLONE_PSEUDO_LABELS` in
+ * "lib/selector.js") match against each repo's clone under `opts.baseDir`,
+ * e.g. `@dirty`, `@branch=master`, `@ahead>0` and `@has=package.json`.
+ * Getting clone state runs git, so it is only done if these are used, and
+ * only for the pseudo-labels used. The state is set on each repo as
+ * `cloneState` (see `_getCloneState`). A repo that is not cloned matches
+ * `!@cloned`, but has no `@dirty`, `@branch`, etc.
  *
- * Limitations: Don't support numeric greater-than, less-than. Don't support
- * set operations. Don't support 'OR'ing.
+ * Then the list is filtered by the given `opts.query`, if any. This is a
+ * selector expression combining label selectors with "&&", "||", "!" and
+ * parentheses (see "lib/selector.js"), e.g.:
+ *
+ *      jr list -q '(triton || manta) && !meta && lang=js'
  */
 JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
     assert.object(opts, 'opts');
     assert.optionalArrayOfString(opts.names, 'opts.names');
     assert.optionalArrayOfString(opts.labelSelectors, 'opts.labelSelectors');
+    assert.optionalString(opts.query, 'opts.query');
+    assert.optionalString(opts.baseDir, 'opts.baseDir');
     assert.func(cb, 'cb');
 
     var self = this;
@@ -391,16 +1606,27 @@ JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
     var repos = null;
 
     // Normalize names. It is common to take them as CLI args, so let's drop
-    // trailing path separators.
+    // trailing path separators (other than from a "/regex/").
     var names = [];
+    var nameMatchers;
     if (opts.names) {
         names = opts.names.map(function onName(name) {
-            if (name && name[name.length - 1] === '/') {
+            if (
+                name &&
+                name[name.length - 1] === '/' &&
+                !selectorlib.isRegexLiteral(name)
+            ) {
                 name = name.slice(0, -1);
             }
             return name;
         });
     }
+    try {
+        nameMatchers = names.map(selectorlib.nameMatcher);
+    } catch (nameErr) {
+        cb(nameErr);
+        return;
+    }
 
     vasync.pipeline(
         {
@@ -424,19 +1650,32 @@ JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
                     }
 
                     var repoFromName = {};
-                    for (var name of names) {
+                    names.forEach(function aNamePattern(name, i) {
+                        var matcher = nameMatchers[i];
                         for (var repo of repos) {
-                            var match = minimatch(repo.name, name, {
-                                noglobstar: true,
-                                dot: true,
-                                nocomment: true,
-                                nonegate: true
-                            });
-                            if (match) {
+                            if (matcher(repo.name)) {
                                 repoFromName[repo.name] = repo;
+                                continue;
+                            }
+
+                            // Support a repo's former names, with a warning
+                            // to use the new name.
+                            var formerMatch = _matchFormerName(repo, matcher);
+                            if (formerMatch) {
+                                repoFromName[repo.name] = repo;
+                                self._warn(
+                                    util.format(
+                                        '"%s" matched former repo name ' +
+                                            '"%s": the repo is now "%s" ' +
+                                            '(former names are deprecated)',
+                                        name,
+                                        formerMatch,
+                                        repo.name
+                                    )
+                                );
                             }
                         }
-                    }
+                    });
                     repos = Object.keys(repoFromName).map(function aName(n) {
                         return repoFromName[n];
                     });
@@ -456,7 +1695,7 @@ JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
                         for (let ls of opts.labelSelectors) {
                             let selector;
                             try {
-                                selector = _parseLabelSelector(ls);
+                                selector = selectorlib.parseLabelSelector(ls);
                             } catch (parseErr) {
                                 next(parseErr);
                                 return;
@@ -465,14 +1704,117 @@ JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
                         }
                     }
 
+                    if (opts.query !== undefined) {
+                        try {
+                            ctx.query = selectorlib.parseSelectorExpression(
+                                opts.query
+                            );
+                        } catch (queryErr) {
+                            next(queryErr);
+                            return;
+                        }
+                    }
+
                     next();
                 },
+
+                function loadCloneState(ctx, next) {
+                    var cloneSelectors = ctx.selectors
+                        .concat(
+                            ctx.query
+                                ? selectorlib.expressionSelectors(ctx.query)
+                                : []
+                        )
+                        .filter(function isCloneSelector(selector) {
+                            return (
+                                selector.key[0] === '@' &&
+                                selectorlib.CLONE_PSEUDO_LABELS.indexOf(
+                                    selector.key.slice(1)
+                                ) !== -1
+                            );
+                        });
+                    if (cloneSelectors.length === 0 || repos.length === 0) {
+                        next();
+                        return;
+                    } else if (!opts.baseDir) {
+                        next(
+                            new VError(
+                                'cannot use the "%s" pseudo-label without a ' +
+                                    'base dir for repo clones',
+                                cloneSelectors[0].key
+                            )
+                        );
+                        return;
+                    }
+
+                    var fields = [];
+                    var hasPaths = [];
+                    for (let selector of cloneSelectors) {
+                        var field = selector.key.slice(1);
+                        if (fields.indexOf(field) === -1) {
+                            fields.push(field);
+                        }
+                        // "@has" selectors always have a value or values of
+                        // paths (see `parseLabelSelector`).
+                        if (field === 'has') {
+                            for (let value of selector.values || [
+                                selector.value
+                            ]) {
+                                hasPaths.push(String(value));
+                            }
+                        }
+                    }
+
+                    var errs = [];
+                    var q = vasync.queue(function getOne(repo, nextRepo) {
+                        if (repo.clonePathError) {
+                            // A repo without a clone path has no clone.
+                            repo.cloneState = {cloned: false};
+                            nextRepo();
+                            return;
+                        }
+                        _getCloneState(
+                            {
+                                dir: self.getRepoPath(opts.baseDir, repo),
+                                fields: fields,
+                                hasPaths: hasPaths
+                            },
+                            function onState(err, state) {
+                                if (err) {
+                                    errs.push(err);
+                                } else {
+                                    repo.cloneState = state;
+                                }
+                                nextRepo();
+                            }
+                        );
+                    }, self.concurrency);
+                    q.on('end', function onEnd() {
+                        log.debug(
+                            {fields: fields, hasPaths: hasPaths},
+                            'loadCloneState for %d repos',
+                            repos.length
+                        );
+                        next(VError.errorFromList(errs));
+                    });
+                    q.push(repos);
+                    q.close();
+                },
+
                 function filterSelectors(ctx, next) {
                     for (let selector of ctx.selectors) {
                         var nBefore = repos.length;
-                        repos = repos.filter(function aRepo(repo) {
-                            return _selectorMatch(repo.labels, selector);
-                        });
+                        try {
+                            repos = repos.filter(function aRepo(repo) {
+                                return selectorlib.selectorMatch(
+                                    repo,
+                                    selector
+                                );
+                            });
+                        } catch (matchErr) {
+                            next(matchErr);
+                            return;
+                        }
 
                         log.debug(
                             {selector: selector},
@@ -482,6 +1824,31 @@ JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
                         );
                     }
 
+                    next();
+                },
+
+                function filterQuery(ctx, next) {
+                    if (!ctx.query) {
+                        next();
+                        return;
+                    }
+
+                    var nBefore = repos.length;
+                    try {
+                        repos = repos.filter(function aRepo(repo) {
+                            return selectorlib.expressionMatch(repo, ctx.query);
+                        });
+                    } catch (matchErr) {
+                        next(matchErr);
+                        return;
+                    }
+
+                    log.debug(
+                        {query: opts.query},
+                        'filterQuery from %d to %d repos',
+                        nBefore,
+                        repos.length
+                    );
                     next();
                 }
             ]
@@ -496,6 +1863,425 @@ JoyentReposManager.prototype.listRepos = function listRepos(opts, cb) {
     );
 };
 
+/*
+ * List the repos excluded by the manifests (in their `excludedRepositories`).
+ *
+ * @param {Object} opts
+ *      - @param {Array} opts.names - Optional. Repo names (or glob patterns,
+ *        or "/regex/flags" strings) to which to limit the list.
+ * @param {Function} cb - `function (err, exclusions)` where `exclusions` is
+ *      an array of `{name, reason, excludedAt, manifestPath}` objects, one
+ *      per `excludedRepositories` entry, in manifest order. `reason` and
+ *      `excludedAt` are undefined if not recorded.
+ */
+JoyentReposManager.prototype.listExclusions = function listExclusions(
+    opts,
+    cb
+) {
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.names, 'opts.names');
+    assert.func(cb, 'cb');
+
+    // As for `listRepos`, drop trailing path separators from names (other
+    // than from a "/regex/").
+    var nameMatchers;
+    try {
+        nameMatchers = (opts.names || []).map(function onName(name) {
+            return selectorlib.nameMatcher(
+                selectorlib.isRegexLiteral(name)
+                    ? name
+                    : name.replace(/\/$/, '')
+            );
+        });
+    } catch (nameErr) {
+        cb(nameErr);
+        return;
+    }
+
+    this._readManifests(this.manifestPaths, {}, function onRead(
+        err,
+        manifestInfos
+    ) {
+        if (err) {
+            cb(err);
+            return;
+        }
+
+        var exclusions = [];
+        for (var info of manifestInfos) {
+            for (var entry of info.manifest.excludedRepositories || []) {
+                var exclusion = manifestlib.normalizeExclusion(entry);
+                exclusions.push({
+                    name: exclusion.name,
+                    reason: exclusion.reason,
+                    excludedAt: exclusion.excludedAt,
+                    manifestPath: info.manifestPath
+                });
+            }
+        }
+
+        if (nameMatchers.length > 0) {
+            exclusions = exclusions.filter(function anExcl(excl) {
+                return nameMatchers.some(function aMatcher(matcher) {
+                    return matcher(excl.name);
+                });
+            });
+        }
+        cb(null, exclusions);
+    });
+};
+
+/*
+ * Set and unset labels of the given repos, by rewriting the manifests that
+ * define them (in canonical format, see `formatManifest`).
+ *
+ * A label is set in the manifest from which its current value comes, else in
+ * the first manifest defining the repo. A label is unset in every manifest
+ * defining the repo. See `applyLabelChange` in "lib/manifest.js" for how the
+ * manifest `defaults` and `blessedLabels` are handled.
+ *
+ * The local labels file (see `_loadAll`) is only edited with `opts.local`,
+ * in which case only it is edited: it is created if necessary, and a repo
+ * entry is added to it for each repo that it does not yet define. Otherwise
+ * it is left alone, so a label whose value comes from the local labels file
+ * is set in the first other manifest defining the repo. It is an error to
+ * set labels on a repo defined only in the local labels file without
+ * `opts.local`.
+ *
+ * @param {Object} opts
+ *      - @param {Array} opts.repos - Repo objects, as from `listRepos`.
+ *      - @param {Object} opts.setLabels - Optional. Labels to set.
+ *      - @param {Array} opts.unsetLabels - Optional. Names of labels to unset.
+ *      - @param {Boolean} opts.local - Optional. If true, edit the local
+ *        labels file instead of the configured manifests.
+ *      - @param {Boolean} opts.dryRun - Optional. If true, manifests are not
+ *        written.
+ * @param {Function} cb - `function (err, changes)` where `changes` is an
+ *      array of objects with `manifestPath`, `repo`, `label`, `oldValue` and
+ *      `newValue` (undefined if unset).
+ */
+JoyentReposManager.prototype.updateRepoLabels = function updateRepoLabels(
+    opts,
+    cb
+) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.repos, 'opts.repos');
+    assert.optionalObject(opts.setLabels, 'opts.setLabels');
+    assert.optionalArrayOfString(opts.unsetLabels, 'opts.unsetLabels');
+    assert.optionalBool(opts.local, 'opts.local');
+    assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.func(cb, 'cb');
+
+    var localLabelsPath = this.localLabelsPath;
+    if (opts.local && !localLabelsPath) {
+        cb(new VError('no local labels file is configured'));
+        return;
+    }
+
+    var setLabels = opts.setLabels || {};
+    var unsetLabels = opts.unsetLabels || [];
+
+    // Group the edits by manifest path.
+    var editsFromPath = new Map();
+    function addEdit(manifestPath, edit) {
+        if (!editsFromPath.has(manifestPath)) {
+            editsFromPath.set(manifestPath, []);
+        }
+        editsFromPath.get(manifestPath).push(edit);
+    }
+    for (var repo of opts.repos) {
+        if (opts.local) {
+            // Only drop local entries for repos defined elsewhere.
+            var prune = !repo.local;
+            for (var localLabel of Object.keys(setLabels)) {
+                addEdit(localLabelsPath, {
+                    repo: repo.name,
+                    label: localLabel,
+                    value: setLabels[localLabel],
+                    prune: prune
+                });
+            }
+            for (var localUnset of unsetLabels) {
+                addEdit(localLabelsPath, {
+                    repo: repo.name,
+                    label: localUnset,
+                    prune: prune
+                });
+            }
+            continue;
+        }
+
+        var sharedPaths = repo.manifests.filter(function isShared(mp) {
+            return mp !== localLabelsPath;
+        });
+        for (var label of Object.keys(setLabels)) {
+            if (sharedPaths.length === 0) {
+                cb(
+                    new VError(
+                        'cannot set labels on repo "%s": it is only ' +
+                            'defined in the local labels file "%s"',
+                        repo.name,
+                        localLabelsPath
+                    )
+                );
+                return;
+            }
+            var source = repo.labelSources[label];
+            addEdit(
+                source && source !== localLabelsPath ? source : sharedPaths[0],
+                {
+                    repo: repo.name,
+                    label: label,
+                    value: setLabels[label]
+                }
+            );
+        }
+        for (var manifestPath of sharedPaths) {
+            for (var unsetLabel of unsetLabels) {
+                addEdit(manifestPath, {repo: repo.name, label: unsetLabel});
+            }
+        }
+    }
+
+    var changes = [];
+    vasync.forEachPipeline(
+        {
+            inputs: Array.from(editsFromPath.keys()),
+            func: function editManifest(mp, next) {
+                var editFn =
+                    mp === localLabelsPath
+                        ? _editLocalLabels
+                        : manifestlib.editManifest;
+                editFn(
+                    mp,
+                    function editLabels(manifest) {
+                        var nChanges = 0;
+                        for (var edit of editsFromPath.get(mp)) {
+                            var change =
+                                mp === localLabelsPath
+                                    ? _applyLocalLabelChange(mp, manifest, edit)
+                                    : manifestlib.applyLabelChange(
+                                          mp,
+                                          manifest,
+                                          edit.repo,
+                                          edit.label,
+                                          edit.value
+                                      );
+                            if (change) {
+                                changes.push(change);
+                                nChanges++;
+                            }
+                        }
+                        return nChanges > 0 && !opts.dryRun;
+                    },
+                    next
+                );
+            }
+        },
+        function doneEdits(err) {
+            cb(err, changes);
+        }
+    );
+};
+
+/*
+ * Find existing clones of the given repos made under one of their
+ * `formerNames`: either at the path for the former name (per the repo path
+ * template), or at the repo's current path but with an "origin" remote URL
+ * for the former name. Repos that are already cloned at their current path
+ * are skipped.
+ *
+ * Former "origin" URLs are only known for repos without an explicit `url`.
+ *
+ * @param {Object} opts
+ *      - @param {Array} opts.repos - Repo objects, as from `listRepos`.
+ *      - @param {String} opts.baseDir - The base dir for clones.
+ * @param {Function} cb - `function (err, formerClones)` where `formerClones`
+ *      is an array of objects with `repo`, `formerName`, `dir` (the
+ *      existing clone dir), `originUrl` (its current origin URL), and `newDir`
+ *      (the dir at which it should be).
+ */
+JoyentReposManager.prototype.findFormerClones = function findFormerClones(
+    opts,
+    cb
+) {
+    assert.object(opts, 'opts');
+    assert.arrayOfObject(opts.repos, 'opts.repos');
+    assert.string(opts.baseDir, 'opts.baseDir');
+    assert.func(cb, 'cb');
+
+    var self = this;
+    var formerClones = [];
+
+    var renamedRepos = opts.repos.filter(function isRenamed(repo) {
+        return repo.formerNames && repo.source;
+    });
+
+    vasync.forEachPipeline(
+        {
+            inputs: renamedRepos,
+            func: function findForRepo(repo, nextRepo) {
+                var newDir;
+                try {
+                    newDir = self.getRepoPath(opts.baseDir, repo);
+                } catch (pathErr) {
+                    nextRepo(pathErr);
+                    return;
+                }
+
+                // Map former origin URLs to their former name.
+                var formerNameFromUrl = {};
+                for (var fn of repo.formerNames) {
+                    var urls = manifestlib.repoUrlsFromSource(fn, repo.source);
+                    formerNameFromUrl[urls.sshCloneUrl] = fn;
+                    formerNameFromUrl[urls.httpsCloneUrl] = fn;
+                }
+
+                // The current path, then the former paths.
+                var candidates = [{dir: newDir}];
+                for (fn of Object.keys(repo.formerClonePaths || {})) {
+                    var dir = _dirFromClonePath(
+                        opts.baseDir,
+                        repo.formerClonePaths[fn]
+                    );
+                    if (dir !== newDir) {
+                        candidates.push({dir: dir});
+                    }
+                }
+
+                var done = false;
+                vasync.forEachPipeline(
+                    {
+                        inputs: candidates,
+                        func: function checkCandidate(cand, nextCand) {
+                            if (done) {
+                                nextCand();
+                                return;
+                            }
+                            _getOriginUrl(cand.dir, function onUrl(err, url) {
+                                if (err) {
+                                    // Not an existing git clone.
+                                    nextCand();
+                                    return;
+                                }
+                                if (formerNameFromUrl[url]) {
+                                    formerClones.push({
+                                        repo: repo,
+                                        formerName: formerNameFromUrl[url],
+                                        dir: cand.dir,
+                                        originUrl: url,
+                                        newDir: newDir
+                                    });
+                                }
+                                // An existing clone at the current path (of
+                                // whatever) means there is nothing to rename
+                                // to it.
+                                done = true;
+                                nextCand();
+                            });
+                        }
+                    },
+                    nextRepo
+                );
+            }
+        },
+        function doneFinding(err) {
+            cb(err, formerClones);
+        }
+    );
+};
+
+/*
+ * Update a clone found by `findFormerClones`: move it to its `newDir` (if it
+ * is elsewhere) and set its "origin" remote to the repo's current URL.
+ *
+ * @param {Object} formerClone - An object from `findFormerClones`.
+ * @param {Function} cb - `function (err)`
+ */
+JoyentReposManager.prototype.renameClone = function renameClone(
+    formerClone,
+    cb
+) {
+    assert.object(formerClone, 'formerClone');
+    assert.object(formerClone.repo, 'formerClone.repo');
+    assert.string(formerClone.dir, 'formerClone.dir');
+    assert.string(formerClone.newDir, 'formerClone.newDir');
+    assert.func(cb, 'cb');
+
+    var repo = formerClone.repo;
+    var url =
+        this.cloneProtocol === 'https' ? repo.httpsCloneUrl : repo.sshCloneUrl;
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function mkParentDir(_, next) {
+                    if (formerClone.dir === formerClone.newDir) {
+                        next();
+                        return;
+                    }
+                    mkdirp(path.dirname(formerClone.newDir), next);
+                },
+                function moveIt(_, next) {
+                    if (formerClone.dir === formerClone.newDir) {
+                        next();
+                        return;
+                    }
+                    fs.stat(formerClone.newDir, function onStat(statErr) {
+                        if (!statErr) {
+                            next(
+                                new VError(
+                                    'cannot move "%s" to "%s": "%s" exists',
+                                    formerClone.dir,
+                                    formerClone.newDir,
+                                    formerClone.newDir
+                                )
+                            );
+                            return;
+                        }
+                        fs.rename(
+                            formerClone.dir,
+                            formerClone.newDir,
+                            function onRename(err) {
+                                next(
+                                    err &&
+                                        new VError(
+                                            err,
+                                            'could not move "%s" to "%s"',
+                                            formerClone.dir,
+                                            formerClone.newDir
+                                        )
+                                );
+                            }
+                        );
+                    });
+                },
+                function setOriginUrl(_, next) {
+                    forkExecWait(
+                        {
+                            argv: [
+                                'git',
+                                '-C',
+                                formerClone.newDir,
+                                'remote',
+                                'set-url',
+                                'origin',
+                                url
+                            ]
+                        },
+                        function onExec(err, _info) {
+                            next(err);
+                        }
+                    );
+                }
+            ]
+        },
+        function doneRename(err) {
+            cb(err);
+        }
+    );
+};
+
 /*
  * Clone the given repo into the given directory. If the repo is already
  * cloned to that directory (the dir exists and git remote url for "origin"
@@ -512,6 +2298,7 @@ JoyentReposManager.prototype.cloneRepo = function cloneRepo(opts, cb) {
     assert.object(opts.repo, 'opts.repo');
     assert.string(opts.dir, 'opts.dir');
 
+    var self = this;
     var alreadyCloned = null;
 
     vasync.pipeline(
@@ -610,7 +2397,9 @@ JoyentReposManager.prototype.cloneRepo = function cloneRepo(opts, cb) {
                             argv: [
                                 'git',
                                 'clone',
-                                opts.repo.sshCloneUrl,
+                                self.cloneProtocol === 'https'
+                                    ? opts.repo.httpsCloneUrl
+                                    : opts.repo.sshCloneUrl,
                                 opts.dir
                             ]
                         },
@@ -653,13 +2442,18 @@ JoyentReposManager.prototype.cloneRepos = function cloneRepos(opts) {
     assert.optionalNumber(opts.concurrency, 'opts.concurrency');
 
     var self = this;
-    var concurrency = jsprim.hasKey(opts, 'concurrency')
-        ? opts.concurrency
-        : DEFAULT_CONCURRENCY;
+    var concurrency =
+        opts.concurrency !== undefined ? opts.concurrency : this.concurrency;
 
     var q = vasync.queue(function cloneARepo(repo, cb) {
         var start = process.hrtime();
-        var dir = self.getRepoPath(opts.baseDir, repo.name);
+        var dir;
+        try {
+            dir = self.getRepoPath(opts.baseDir, repo);
+        } catch (pathErr) {
+            cb(pathErr, {repo: repo, elapsed: process.hrtime(start)});
+            return;
+        }
 
         self.cloneRepo(
             {
@@ -716,13 +2510,23 @@ JoyentReposManager.prototype.execInClones = function execInClones(opts) {
     assert.optionalNumber(opts.concurrency, 'opts.concurrency');
 
     var self = this;
-    var concurrency = jsprim.hasKey(opts, 'concurrency')
-        ? opts.concurrency
-        : DEFAULT_CONCURRENCY;
+    var concurrency =
+        opts.concurrency !== undefined ? opts.concurrency : this.concurrency;
 
     var q = vasync.queue(function execInClone(repo, cb) {
         var start = process.hrtime();
-        var dir = self.getRepoPath(opts.baseDir, repo.name);
+        var dir;
+        try {
+            dir = self.getRepoPath(opts.baseDir, repo);
+        } catch (pathErr) {
+            cb(pathErr, {
+                repo: repo,
+                elapsed: process.hrtime(start),
+                stdout: '',
+                stderr: ''
+            });
+            return;
+        }
 
         forkExecWait(
             {
@@ -747,24 +2551,47 @@ JoyentReposManager.prototype.execInClones = function execInClones(opts) {
 };
 
 /*
- * Return the local directory for this repository. Users can set
+ * Return the local directory for this repository: its `clonePath` (from the
+ * repo path template, see `_loadAll`) under the given base dir. Users can set
  * $JR_REPO_PATH_SUFFIX to give all their repositories a consistent suffix,
  * e.g. <repo_name>.git
+ *
+ * `repo` is a repo object (as from `listRepos`) or a repo name. A name is
+ * looked up in the last loaded repos, else its path is from the
+ * `repoPathTemplate` option (or the default "{name}") for just the name.
+ *
+ * This throws the repo's `clonePathError` if it has no clone path.
  */
-JoyentReposManager.prototype.getRepoPath = function getRepoPath(
-    baseDir,
-    repoName
-) {
+JoyentReposManager.prototype.getRepoPath = function getRepoPath(baseDir, repo) {
     assert.string(baseDir, 'baseDir');
-    assert.string(repoName, 'repoName');
-    var repo_path = path.join(baseDir, repoName);
-    if (process.env.JR_REPO_PATH_SUFFIX !== undefined) {
-        repo_path += process.env.JR_REPO_PATH_SUFFIX;
+
+    if (typeof repo === 'string') {
+        var repoName = repo;
+        repo = this._repoFromName && this._repoFromName.get(repoName);
+        if (!repo) {
+            return _dirFromClonePath(
+                baseDir,
+                pathtemplate.renderRepoPath(
+                    this.repoPathTemplate ||
+                        pathtemplate.parseRepoPathTemplate(
+                            pathtemplate.DEFAULT_REPO_PATH_TEMPLATE
+                        ),
+                    {name: repoName}
+                )
+            );
+        }
+    }
+    assert.object(repo, 'repo');
+    if (repo.clonePathError) {
+        throw repo.clonePathError;
     }
-    return repo_path;
+    assert.string(repo.clonePath, 'repo.clonePath');
+    return _dirFromClonePath(baseDir, repo.clonePath);
 };
 
 module.exports = {
+    LABEL_CONFLICT_POLICIES: LABEL_CONFLICT_POLICIES,
+    CLONE_PROTOCOLS: CLONE_PROTOCOLS,
     JoyentReposManager: JoyentReposManager
 };
 
@@ -0,0 +1,352 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Repo manifest lint rules.
+ *
+ * Lint checks are for things that are valid per the manifest schema, but are
+ * likely mistakes. Each rule has a default severity ("error" or "warning"). A
+ * manifest may change the severity of a rule, or turn it "off", with its
+ * `lintRules` field, e.g.:
+ *
+ *      "lintRules": {
+ *          "unknown-label": "off",
+ *          "redundant-label": "error"
+ *      }
+ *
+ * The "label-rule" rule checks each repo's labels, including those from
+ * `defaults` and `groups`, against the manifest's `labelRules`. A label rule
+ * applies to repos on which its `label` is set (to a value other than false),
+ * and checks that those repos also have the labels in `requires`, have none
+ * of the labels in `conflicts`, and have a `label` value matching the
+ * `pattern` regular expression, e.g.:
+ *
+ *      "labelRules": [
+ *          {"label": "mg", "requires": ["release"]},
+ *          {"label": "buildisprivate", "requires": ["mg"]},
+ *          {"label": "tritonservice", "requires": ["image"]},
+ *          {"label": "image", "pattern": "^[a-z0-9-]+$"}
+ *      ]
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var format = require('util').format;
+
+var manifestlib = require('./manifest');
+
+// ---- globals
+
+var LINT_SEVERITIES = manifestlib.LINT_SEVERITIES;
+
+var LINT_RULES = {
+    'unknown-label': {
+        severity: 'warning',
+        help: 'A label that is not in "blessedLabels" (if any are declared).'
+    },
+    'label-type': {
+        severity: 'error',
+        help: 'A label value that is not of the type in "blessedLabels".'
+    },
+    'duplicate-repo': {
+        severity: 'error',
+        help: 'A repo listed more than once in "repositories".'
+    },
+    'duplicate-exclusion': {
+        severity: 'warning',
+        help: 'A repo listed more than once in "excludedRepositories".'
+    },
+    'excluded-repo': {
+        severity: 'error',
+        help:
+            'A repo listed in both "repositories" and ' +
+            '"excludedRepositories".'
+    },
+    'redundant-label': {
+        severity: 'warning',
+        help:
+            'A repo label with the same value as in "defaults" or in one of ' +
+            'the repo\'s "groups".'
+    },
+    'empty-group': {
+        severity: 'warning',
+        help: 'A group whose "members" match no repo in "repositories".'
+    },
+    'label-rule': {
+        severity: 'error',
+        help: 'A repo whose labels break one of the "labelRules".'
+    }
+};
+
+// ---- internal support
+
+/*
+ * Check the labels at the given JSON path against the blessed labels.
+ */
+function _lintLabels(report, labels, labelsPath, blessedFromName) {
+    for (var label of Object.keys(labels)) {
+        var blessed = blessedFromName[label];
+        var value = labels[label];
+        if (!blessed) {
+            report(
+                'unknown-label',
+                labelsPath + '.' + label,
+                format('label "%s" is not a blessed label', label)
+            );
+        } else if (typeof value !== blessed.type) {
+            report(
+                'label-type',
+                labelsPath + '.' + label,
+                format(
+                    'label "%s" value %j is not of the blessed type "%s"',
+                    label,
+                    value,
+                    blessed.type
+                )
+            );
+        }
+    }
+}
+
+/*
+ * A label is "set" on a repo if it has a value other than false, so that
+ * `"release": false` does not satisfy a rule requiring "release".
+ */
+function _isLabelSet(labels, label) {
+    return labels.hasOwnProperty(label) && labels[label] !== false;
+}
+
+/*
+ * Check the given repo's labels (including defaults) against the manifest's
+ * label rules.
+ */
+function _lintLabelRules(report, labelRules, repo, labels, repoPath) {
+    labelRules.forEach(function aRule(rule, i) {
+        if (!_isLabelSet(labels, rule.label)) {
+            return;
+        }
+
+        var why = rule.description
+            ? format(' (labelRules[%d]: %s)', i, rule.description)
+            : format(' (labelRules[%d])', i);
+
+        for (var req of rule.requires || []) {
+            if (!_isLabelSet(labels, req)) {
+                report(
+                    'label-rule',
+                    repoPath + '.labels',
+                    format(
+                        'repo "%s" has label "%s", but not "%s"%s',
+                        repo.name,
+                        rule.label,
+                        req,
+                        why
+                    )
+                );
+            }
+        }
+        for (var conflict of rule.conflicts || []) {
+            if (_isLabelSet(labels, conflict)) {
+                report(
+                    'label-rule',
+                    repoPath + '.labels',
+                    format(
+                        'repo "%s" has label "%s", so cannot have "%s"%s',
+                        repo.name,
+                        rule.label,
+                        conflict,
+                        why
+                    )
+                );
+            }
+        }
+        if (
+            rule.pattern !== undefined &&
+            !new RegExp(rule.pattern).test(String(labels[rule.label]))
+        ) {
+            report(
+                'label-rule',
+                repoPath + '.labels.' + rule.label,
+                format(
+                    'repo "%s" label "%s" value %j does not match /%s/%s',
+                    repo.name,
+                    rule.label,
+                    labels[rule.label],
+                    rule.pattern,
+                    why
+                )
+            );
+        }
+    });
+}
+
+// ---- exports
+
+/*
+ * Lint the given (schema-valid) manifest.
+ *
+ * @returns {Array} An array of `{rule, severity, path, message}` objects, one
+ *      for each problem found. `path` is the JSON path to the offending
+ *      value, as for `validateManifest`. Problems for rules turned "off"
+ *      in the manifest's `lintRules` are not included.
+ */
+function lintManifest(manifest) {
+    assert.object(manifest, 'manifest');
+    var lintRules = manifest.lintRules || {};
+    var problems = [];
+
+    function report(rule, problemPath, message) {
+        var severity = lintRules[rule] || LINT_RULES[rule].severity;
+        if (severity !== 'off') {
+            problems.push({
+                rule: rule,
+                severity: severity,
+                path: problemPath,
+                message: message
+            });
+        }
+    }
+
+    for (var rule of Object.keys(lintRules)) {
+        if (!LINT_RULES.hasOwnProperty(rule)) {
+            problems.push({
+                rule: 'lint-rules',
+                severity: 'error',
+                path: 'lintRules.' + rule,
+                message: format('"%s" is not a lint rule', rule)
+            });
+        }
+    }
+
+    // Without any blessed labels, there is nothing to check labels against.
+    var blessedFromName = null;
+    if (manifest.blessedLabels && manifest.blessedLabels.length > 0) {
+        blessedFromName = {};
+        for (var bl of manifest.blessedLabels) {
+            blessedFromName[bl.name] = bl;
+        }
+    }
+
+    var defaultLabels = (manifest.defaults && manifest.defaults.labels) || {};
+    if (blessedFromName) {
+        _lintLabels(report, defaultLabels, 'defaults.labels', blessedFromName);
+    }
+
+    var groupNamesInUse = new Set();
+    (manifest.groups || []).forEach(function aGroup(group, i) {
+        if (blessedFromName && group.labels) {
+            _lintLabels(
+                report,
+                group.labels,
+                format('groups[%d].labels', i),
+                blessedFromName
+            );
+        }
+    });
+
+    var excluded = {};
+    (manifest.excludedRepositories || []).forEach(function anExcl(entry, i) {
+        var name = manifestlib.exclusionName(entry);
+        if (excluded.hasOwnProperty(name)) {
+            report(
+                'duplicate-exclusion',
+                format('excludedRepositories[%d]', i),
+                format(
+                    'repo "%s" is already excluded at ' +
+                        'excludedRepositories[%d]',
+                    name,
+                    excluded[name]
+                )
+            );
+        } else {
+            excluded[name] = i;
+        }
+    });
+
+    var seen = {};
+    (manifest.repositories || []).forEach(function aRepo(repo, i) {
+        var repoPath = format('repositories[%d]', i);
+
+        if (seen.hasOwnProperty(repo.name)) {
+            report(
+                'duplicate-repo',
+                repoPath,
+                format(
+                    'repo "%s" is already listed at repositories[%d]',
+                    repo.name,
+                    seen[repo.name]
+                )
+            );
+        } else {
+            seen[repo.name] = i;
+        }
+
+        if (excluded.hasOwnProperty(repo.name)) {
+            report(
+                'excluded-repo',
+                repoPath,
+                format(
+                    'repo "%s" is also excluded at excludedRepositories[%d]',
+                    repo.name,
+                    excluded[repo.name]
+                )
+            );
+        }
+
+        var labels = repo.labels || {};
+        if (blessedFromName) {
+            _lintLabels(report, labels, repoPath + '.labels', blessedFromName);
+        }
+        var base = manifestlib.repoBaseLabels(manifest, repo.name);
+        for (var label of Object.keys(labels)) {
+            if (
+                base.labels.hasOwnProperty(label) &&
+                base.labels[label] === labels[label]
+            ) {
+                report(
+                    'redundant-label',
+                    repoPath + '.labels.' + label,
+                    format(
+                        'label "%s" value %j is the same as in %s',
+                        label,
+                        labels[label],
+                        manifestlib.describeLabelFrom(base.from[label])
+                    )
+                );
+            }
+        }
+        for (var group of manifestlib.repoGroups(manifest, repo.name)) {
+            groupNamesInUse.add(group.name);
+        }
+
+        if (manifest.labelRules) {
+            _lintLabelRules(
+                report,
+                manifest.labelRules,
+                repo,
+                Object.assign({}, base.labels, labels),
+                repoPath
+            );
+        }
+    });
+
+    (manifest.groups || []).forEach(function aGroup(group, i) {
+        if (!groupNamesInUse.has(group.name)) {
+            report(
+                'empty-group',
+                format('groups[%d]', i),
+                format('group "%s" has no member repos', group.name)
+            );
+        }
+    });
+
+    return problems;
+}
+
+module.exports = {
+    LINT_SEVERITIES: LINT_SEVERITIES,
+    LINT_RULES: LINT_RULES,
+    lintManifest: lintManifest
+};
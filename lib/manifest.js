@@ -0,0 +1,1656 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Support for reading and validating "jr-manifest.json" files.
+ *
+ * A manifest is identified by a "manifest path", which is either a local file
+ * path or a git source of the form "git+$url#$ref:$path", e.g.
+ * "git+file:///home/me/triton.git#master:tools/jr-manifest.json". A manifest
+ * from a git source is read with `git show` from a cached bare clone of the
+ * git repo under `opts.gitCacheDir`. The cached clone is created on first use,
+ * and only updated by `refreshGitCache`.
+ *
+ * Manifests written by `jr` are in a canonical form (see `formatManifest`), to
+ * keep diffs of manifest files minimal.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var forkExecWait = require('forkexec').forkExecWait;
+var format = require('util').format;
+var fs = require('fs');
+var jsonSchema = require('json-schema');
+var minimatch = require('minimatch');
+var mkdirp = require('mkdirp');
+var path = require('path');
+var vasync = require('vasync');
+var VError = require('verror');
+
+var pathtemplate = require('./pathtemplate');
+
+// ---- the jrVersion 1 manifest schema
+//
+// This is a draft-03 JSON Schema, as supported by the "json-schema" package.
+
+// The severities for `jr manifest lint` rules (see "lib/lint.js").
+var LINT_SEVERITIES = ['error', 'warning', 'off'];
+
+// Label values are flat scalars. `disallow` is used rather than a union
+// `type` because json-schema's error message for a failed union type only
+// mentions the last type.
+var LABEL_VALUE_SCHEMA = {
+    disallow: ['object', 'array', 'null']
+};
+
+var LABELS_SCHEMA = {
+    type: 'object',
+    additionalProperties: LABEL_VALUE_SCHEMA
+};
+
+var REPO_NAME_SCHEMA = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9._-]+$'
+};
+
+// An `excludedRepositories` entry is a repo name, or an object recording why
+// the repo was excluded. A union `type` of these two schemas gives poor error
+// messages (see `LABEL_VALUE_SCHEMA`), so entries are checked against one or
+// the other in `validateManifest`.
+var EXCLUSION_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: {
+            type: 'string',
+            required: true,
+            pattern: REPO_NAME_SCHEMA.pattern
+        },
+        reason: {type: 'string'},
+        // A date, "YYYY-MM-DD".
+        excludedAt: {
+            type: 'string',
+            pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$'
+        }
+    }
+};
+
+// Where a manifest's (or a single repo's) repos are hosted. See
+// `DEFAULT_SOURCE` and `repoUrlsFromSource`.
+var SOURCE_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        host: {type: 'string', minLength: 1},
+        org: {type: 'string', minLength: 1},
+        baseUrl: {type: 'string', minLength: 1}
+    }
+};
+
+var REPO_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        name: {
+            type: 'string',
+            required: true,
+            pattern: REPO_NAME_SCHEMA.pattern
+        },
+        url: {type: 'string', minLength: 1},
+        source: SOURCE_SCHEMA,
+        // Names by which the repo was previously known, e.g. before a
+        // rename on GitHub.
+        formerNames: {
+            type: 'array',
+            items: REPO_NAME_SCHEMA
+        },
+        labels: LABELS_SCHEMA,
+        // Structured information about the repo that does not fit in flat
+        // label values, e.g. lists of owners or of Jenkins jobs. Any JSON
+        // values are allowed. (json-schema allows an array for "object", so
+        // that is checked in `validateManifest`.)
+        metadata: {type: 'object'}
+    }
+};
+
+var MANIFEST_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        jrVersion: {
+            type: 'integer',
+            required: true,
+            enum: [1]
+        },
+        description: {
+            type: 'string'
+        },
+        // Used to resolve label conflicts with other manifests under the
+        // "priority" label conflict policy. Higher wins. Default 0.
+        priority: {
+            type: 'integer'
+        },
+        source: SOURCE_SCHEMA,
+        // The path, relative to the base dir, at which to clone each repo.
+        // See "lib/pathtemplate.js".
+        repoPathTemplate: {
+            type: 'string',
+            minLength: 1
+        },
+        // Paths to other manifests to load along with this one. Relative
+        // paths are relative to this manifest's directory.
+        include: {
+            type: 'array',
+            items: {type: 'string', minLength: 1}
+        },
+        repoCandidateSearch: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                description: {type: 'string'},
+                // The "type" param to GitHub's "List organization
+                // repositories" endpoint.
+                type: {
+                    type: 'string',
+                    enum: [
+                        'all',
+                        'public',
+                        'private',
+                        'forks',
+                        'sources',
+                        'member',
+                        'internal'
+                    ]
+                },
+                includeArchived: {type: 'boolean'}
+            }
+        },
+        blessedLabels: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    name: {type: 'string', required: true},
+                    type: {
+                        type: 'string',
+                        required: true,
+                        enum: ['boolean', 'string', 'number']
+                    },
+                    description: {type: 'string'}
+                }
+            }
+        },
+        // Label consistency rules, checked by `jr manifest lint`. Each
+        // applies to repos that have `label` (see "lib/lint.js").
+        labelRules: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    label: {type: 'string', required: true, minLength: 1},
+                    description: {type: 'string'},
+                    requires: {
+                        type: 'array',
+                        items: {type: 'string', minLength: 1}
+                    },
+                    conflicts: {
+                        type: 'array',
+                        items: {type: 'string', minLength: 1}
+                    },
+                    pattern: {type: 'string'}
+                }
+            }
+        },
+        // Severity overrides ("error", "warning" or "off") for
+        // `jr manifest lint` rules. See "lib/lint.js".
+        lintRules: {
+            type: 'object',
+            additionalProperties: {
+                type: 'string',
+                enum: LINT_SEVERITIES
+            }
+        },
+        defaults: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                labels: LABELS_SCHEMA
+            }
+        },
+        // Named sets of this manifest's repos that share labels. See
+        // `repoBaseLabels`.
+        groups: {
+            type: 'array',
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    name: {
+                        type: 'string',
+                        required: true,
+                        pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$'
+                    },
+                    description: {type: 'string'},
+                    // Repo names or globs.
+                    members: {
+                        type: 'array',
+                        required: true,
+                        items: {type: 'string', minLength: 1}
+                    },
+                    labels: LABELS_SCHEMA
+                }
+            }
+        },
+        // Required, unless `include` is given. See `validateManifest`.
+        repositories: {
+            type: 'array',
+            items: REPO_SCHEMA
+        },
+        // Each a repo name or an `EXCLUSION_SCHEMA` object. Items are
+        // checked in `validateManifest`.
+        excludedRepositories: {
+            type: 'array'
+        }
+    }
+};
+
+// Repos are on GitHub under the "TritonDataCenter" org unless a manifest or
+// repo `source` says otherwise.
+var DEFAULT_SOURCE = {
+    host: 'github.com',
+    org: 'TritonDataCenter'
+};
+
+var GIT_SOURCE_RE = /^git\+(.+)#([^:]+):(.+)$/;
+
+// Glob options for matching group `members` against repo names.
+var MEMBER_GLOB_OPTS = {
+    noglobstar: true,
+    dot: true,
+    nocomment: true,
+    nonegate: true
+};
+
+// ---- internal support functions
+
+function _formatGitSource(gitSource) {
+    return format('git+%s#%s:%s', gitSource.url, gitSource.ref, gitSource.path);
+}
+
+/*
+ * The path to the cached bare clone of the given git URL. The basename is
+ * made readable from the URL, with a hash suffix to avoid collisions.
+ */
+function _gitCachePath(gitCacheDir, url) {
+    var hash = crypto
+        .createHash('sha1')
+        .update(url)
+        .digest('hex')
+        .slice(0, 8);
+    var base = url
+        .replace(/^[a-z+]+:\/\//, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^_+/, '');
+    return path.join(gitCacheDir, base + '-' + hash);
+}
+
+/*
+ * Ensure there is a cached bare clone of the given git URL, cloning it if
+ * necessary. Calls back with `cb(err, gitDir, cloned)`.
+ */
+function _ensureGitCache(url, gitCacheDir, cb) {
+    var gitDir = _gitCachePath(gitCacheDir, url);
+
+    fs.stat(gitDir, function onStat(statErr) {
+        if (!statErr) {
+            cb(null, gitDir, false);
+            return;
+        } else if (statErr.code !== 'ENOENT') {
+            cb(statErr);
+            return;
+        }
+
+        mkdirp(gitCacheDir, function onMkdir(mkdirErr) {
+            if (mkdirErr) {
+                cb(mkdirErr);
+                return;
+            }
+            forkExecWait(
+                {
+                    argv: [
+                        'git',
+                        'clone',
+                        '--bare',
+                        '--quiet',
+                        '--',
+                        url,
+                        gitDir
+                    ]
+                },
+                function onClone(cloneErr) {
+                    if (cloneErr) {
+                        cb(
+                            new VError(
+                                cloneErr,
+                                'could not clone "%s" to cache dir "%s"',
+                                url,
+                                gitDir
+                            )
+                        );
+                    } else {
+                        cb(null, gitDir, true);
+                    }
+                }
+            );
+        });
+    });
+}
+
+/*
+ * Get the content of the given manifest path (a file path or git source).
+ */
+function _readManifestContent(manifestPath, opts, cb) {
+    var gitSource;
+    try {
+        gitSource = parseGitSource(manifestPath);
+    } catch (parseErr) {
+        cb(parseErr);
+        return;
+    }
+    if (!gitSource) {
+        fs.readFile(manifestPath, 'utf8', cb);
+        return;
+    }
+
+    if (!opts.gitCacheDir) {
+        cb(
+            new VError('no git cache dir with which to read "%s"', manifestPath)
+        );
+        return;
+    }
+
+    _ensureGitCache(gitSource.url, opts.gitCacheDir, function onCache(
+        cacheErr,
+        gitDir
+    ) {
+        if (cacheErr) {
+            cb(cacheErr);
+            return;
+        }
+        forkExecWait(
+            {
+                argv: [
+                    'git',
+                    '--git-dir',
+                    gitDir,
+                    'show',
+                    '--end-of-options',
+                    gitSource.ref + ':' + gitSource.path
+                ]
+            },
+            function onShow(showErr, info) {
+                if (showErr) {
+                    cb(
+                        new VError(
+                            showErr,
+                            'could not read "%s" at ref "%s" from the cached ' +
+                                'clone of "%s" (the cache may need to be ' +
+                                'refreshed)',
+                            gitSource.path,
+                            gitSource.ref,
+                            gitSource.url
+                        )
+                    );
+                } else {
+                    cb(null, info.stdout);
+                }
+            }
+        );
+    });
+}
+
+/*
+ * Massage a json-schema validation error into a `{path, message}` object
+ * with a more readable message.
+ */
+function _schemaError(err) {
+    var jsonPath = err.property;
+    var message = err.message;
+    var match;
+
+    // E.g. "objectThe property foo is not defined in the schema and the
+    // schema does not allow additional properties". The leading junk is a
+    // json-schema bug.
+    match = /The property (.*) is not defined in the schema/.exec(message);
+    if (match) {
+        jsonPath = jsonPath ? jsonPath + '.' + match[1] : match[1];
+        message = 'is not an allowed property';
+    }
+
+    // E.g. "42 - number value found, but a string is required".
+    match = / - (\w+) value found, but an? (\w+) is required$/.exec(message);
+    if (match) {
+        message = format(
+            'must be %s %s (found %s)',
+            /^[aeiou]/.test(match[2]) ? 'an' : 'a',
+            match[2],
+            match[1]
+        );
+    }
+
+    if (message === ' disallowed value was matched') {
+        // Only `LABEL_VALUE_SCHEMA` uses `disallow`.
+        message = 'must be a string, number or boolean';
+    }
+
+    return {
+        path: jsonPath || '(root)',
+        message: message
+    };
+}
+
+// ---- exports
+
+/*
+ * Determine the effective source for a repo from the manifest-level `source`
+ * and the repo's own `source` (either may be undefined). Fields in the repo
+ * source override those in the manifest source. A repo source that gives a
+ * `host` or `org`, but no `baseUrl`, does not inherit the manifest's
+ * `baseUrl`.
+ */
+function resolveSource(manifestSource, repoSource) {
+    assert.optionalObject(manifestSource, 'manifestSource');
+    assert.optionalObject(repoSource, 'repoSource');
+
+    var source = Object.assign({}, DEFAULT_SOURCE, manifestSource, repoSource);
+    if (
+        repoSource &&
+        !repoSource.baseUrl &&
+        (repoSource.host || repoSource.org)
+    ) {
+        delete source.baseUrl;
+    }
+    if (source.baseUrl) {
+        // `host` and `org` are meaningless with a `baseUrl`.
+        source = {baseUrl: source.baseUrl.replace(/\/+$/, '')};
+    }
+    return source;
+}
+
+/*
+ * Return the `htmlUrl`, `sshCloneUrl` and `httpsCloneUrl` for the named repo
+ * from the given source (as from `resolveSource`).
+ *
+ * For comparison, the GitHub v3 API has the following var names the various
+ * URLs:
+ *    "html_url": "https://github.com/TritonDataCenter/node-kstat",
+ *    "git_url": "git://github.com/TritonDataCenter/node-kstat.git",
+ *    "ssh_url": "git@github.com:TritonDataCenter/node-kstat.git",
+ *    "clone_url": "https://github.com/TritonDataCenter/node-kstat.git",
+ *    "svn_url": "https://github.com/TritonDataCenter/node-kstat",
+ *
+ * A source with a `baseUrl` (e.g. "https://gitea.example.com/eng" or
+ * "file:///var/tmp/repos") clones from "$baseUrl/$name.git" with either
+ * protocol.
+ */
+function repoUrlsFromSource(name, source) {
+    assert.string(name, 'name');
+    assert.object(source, 'source');
+
+    if (source.baseUrl) {
+        return {
+            htmlUrl: format('%s/%s', source.baseUrl, name),
+            sshCloneUrl: format('%s/%s.git', source.baseUrl, name),
+            httpsCloneUrl: format('%s/%s.git', source.baseUrl, name)
+        };
+    } else {
+        return {
+            htmlUrl: format('https://%s/%s/%s', source.host, source.org, name),
+            sshCloneUrl: format(
+                'git@%s:%s/%s.git',
+                source.host,
+                source.org,
+                name
+            ),
+            httpsCloneUrl: format(
+                'https://%s/%s/%s.git',
+                source.host,
+                source.org,
+                name
+            )
+        };
+    }
+}
+
+/*
+ * Return true if the given manifest path is a git source (see
+ * `parseGitSource`).
+ */
+function isGitSource(manifestPath) {
+    assert.string(manifestPath, 'manifestPath');
+    return GIT_SOURCE_RE.test(manifestPath);
+}
+
+/*
+ * Parse a git manifest source, "git+$url#$ref:$path", into an object with
+ * `url`, `ref` and `path` fields. Returns null if the given manifest path is
+ * not a git source.
+ *
+ * Git sources can come from the `include`s of manifests that others control,
+ * so this throws if the URL or ref starts with "-", which git could take as
+ * an option.
+ */
+function parseGitSource(manifestPath) {
+    assert.string(manifestPath, 'manifestPath');
+
+    var match = GIT_SOURCE_RE.exec(manifestPath);
+    if (!match) {
+        return null;
+    } else if (match[1][0] === '-' || match[2][0] === '-') {
+        throw new VError(
+            'invalid git source "%s": the URL and ref must not start with "-"',
+            manifestPath
+        );
+    }
+    return {
+        url: match[1],
+        ref: match[2],
+        path: path.posix.normalize(match[3]).replace(/^\/+/, '')
+    };
+}
+
+/*
+ * Find the git working copy holding the given manifest file. Calls back with
+ * `cb(err, topDir, repoPath)`, where `topDir` is the working copy's top dir and
+ * `repoPath` is the (posix) path of the manifest in the git repo.
+ */
+function _gitWorkingCopyPath(manifestPath, cb) {
+    var absPath = path.resolve(manifestPath);
+    var dir = path.dirname(absPath);
+
+    forkExecWait(
+        {
+            argv: ['git', '-C', dir, 'rev-parse', '--show-toplevel']
+        },
+        function onTop(topErr, topInfo) {
+            if (topErr) {
+                cb(
+                    new VError(
+                        topErr,
+                        'manifest "%s" is not in a git working copy',
+                        manifestPath
+                    )
+                );
+                return;
+            }
+            var topDir = topInfo.stdout.trim();
+
+            // The toplevel has symlinks resolved, so resolve them in the
+            // manifest's dir to get its path in the repo.
+            fs.realpath(dir, function onRealpath(realErr, realDir) {
+                if (realErr) {
+                    cb(realErr);
+                    return;
+                }
+                cb(
+                    null,
+                    topDir,
+                    path
+                        .relative(
+                            topDir,
+                            path.join(realDir, path.basename(absPath))
+                        )
+                        .split(path.sep)
+                        .join('/')
+                );
+            });
+        }
+    );
+}
+
+/*
+ * Get the git source (see `parseGitSource`) for the given revision of a
+ * manifest file in a local git working copy. The revision is resolved to a
+ * commit SHA in the working copy, so e.g. "HEAD" is the working copy's HEAD
+ * and not that of a cached clone.
+ *
+ * @param {String} manifestPath - A manifest file path.
+ * @param {String} rev - A git revision, e.g. "HEAD~1" or "main".
+ * @param {Function} cb - `function (err, gitSource)`
+ */
+function localGitSource(manifestPath, rev, cb) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.string(rev, 'rev');
+    assert.func(cb, 'cb');
+
+    _gitWorkingCopyPath(manifestPath, function onPath(
+        pathErr,
+        topDir,
+        repoPath
+    ) {
+        if (pathErr) {
+            cb(pathErr);
+            return;
+        }
+
+        forkExecWait(
+            {
+                argv: [
+                    'git',
+                    '-C',
+                    topDir,
+                    'rev-parse',
+                    '--verify',
+                    '--quiet',
+                    '--end-of-options',
+                    rev + '^{commit}'
+                ]
+            },
+            function onRev(revErr, revInfo) {
+                if (revErr) {
+                    cb(
+                        new VError(
+                            'unknown git revision "%s" in "%s"',
+                            rev,
+                            topDir
+                        )
+                    );
+                    return;
+                }
+                cb(
+                    null,
+                    _formatGitSource({
+                        url: 'file://' + topDir,
+                        ref: revInfo.stdout.trim(),
+                        path: repoPath
+                    })
+                );
+            }
+        );
+    });
+}
+
+/*
+ * Read the git history of the given manifest: a file in a git working copy
+ * (from its HEAD), or a git source (from its ref in the cached clone).
+ *
+ * Revisions are not validated against the manifest schema, as older
+ * revisions may predate parts of it.
+ *
+ * @param {String} manifestPath - A file path or git source.
+ * @param {Object} opts
+ *      - @param {String} opts.gitCacheDir - Optional. The directory holding
+ *        cached clones for git sources. Required for a git source.
+ * @param {Function} cb - `function (err, revisions)` where `revisions` is an
+ *      array of `{commit, author, date, subject, manifest}` for each commit
+ *      that changed the manifest, oldest first. `manifest` is the parsed
+ *      manifest at that commit, or null if the file was deleted or is not
+ *      valid JSON.
+ */
+function readManifestHistory(manifestPath, opts, cb) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.gitCacheDir, 'opts.gitCacheDir');
+    assert.func(cb, 'cb');
+
+    var gitSource;
+    try {
+        gitSource = parseGitSource(manifestPath);
+    } catch (parseErr) {
+        cb(parseErr);
+        return;
+    }
+    var context = {};
+
+    vasync.pipeline(
+        {
+            arg: context,
+            funcs: [
+                function getGitRepo(ctx, next) {
+                    if (!gitSource) {
+                        _gitWorkingCopyPath(manifestPath, function onPath(
+                            err,
+                            topDir,
+                            repoPath
+                        ) {
+                            ctx.gitArgv = ['git', '-C', topDir];
+                            ctx.ref = 'HEAD';
+                            ctx.repoPath = repoPath;
+                            next(err);
+                        });
+                        return;
+                    } else if (!opts.gitCacheDir) {
+                        next(
+                            new VError(
+                                'no git cache dir with which to read "%s"',
+                                manifestPath
+                            )
+                        );
+                        return;
+                    }
+                    _ensureGitCache(
+                        gitSource.url,
+                        opts.gitCacheDir,
+                        function onCache(err, gitDir) {
+                            ctx.gitArgv = ['git', '--git-dir', gitDir];
+                            ctx.ref = gitSource.ref;
+                            ctx.repoPath = gitSource.path;
+                            next(err);
+                        }
+                    );
+                },
+                function getLog(ctx, next) {
+                    forkExecWait(
+                        {
+                            argv: ctx.gitArgv.concat([
+                                'log',
+                                '--reverse',
+                                '--format=%H%x09%an%x09%aI%x09%s',
+                                '--end-of-options',
+                                ctx.ref,
+                                '--',
+                                ctx.repoPath
+                            ])
+                        },
+                        function onLog(err, info) {
+                            if (err) {
+                                next(
+                                    new VError(
+                                        err,
+                                        'could not get git log for "%s"',
+                                        manifestPath
+                                    )
+                                );
+                                return;
+                            }
+                            ctx.revisions = info.stdout
+                                .split('\n')
+                                .filter(function nonEmpty(line) {
+                                    return line;
+                                })
+                                .map(function parseLine(line) {
+                                    var fields = line.split('\t');
+                                    return {
+                                        commit: fields[0],
+                                        author: fields[1],
+                                        date: fields[2],
+                                        subject: fields.slice(3).join('\t'),
+                                        manifest: null
+                                    };
+                                });
+                            next();
+                        }
+                    );
+                },
+                function getManifests(ctx, next) {
+                    vasync.forEachPipeline(
+                        {
+                            inputs: ctx.revisions,
+                            func: function getOne(rev, nextRev) {
+                                forkExecWait(
+                                    {
+                                        argv: ctx.gitArgv.concat([
+                                            'show',
+                                            rev.commit + ':' + ctx.repoPath
+                                        ])
+                                    },
+                                    function onShow(showErr, info) {
+                                        if (!showErr) {
+                                            try {
+                                                rev.manifest = JSON.parse(
+                                                    info.stdout
+                                                );
+                                            } catch (_parseErr) {
+                                                // Not a readable revision.
+                                            }
+                                        }
+                                        nextRev();
+                                    }
+                                );
+                            }
+                        },
+                        next
+                    );
+                }
+            ]
+        },
+        function doneHistory(err) {
+            if (err) {
+                cb(err);
+            } else {
+                cb(null, context.revisions);
+            }
+        }
+    );
+}
+
+/*
+ * Normalize the given manifest path: file paths are made absolute, and the
+ * in-repo path of a git source is normalized.
+ */
+function normalizeManifestPath(manifestPath) {
+    assert.string(manifestPath, 'manifestPath');
+
+    var gitSource = parseGitSource(manifestPath);
+    if (gitSource) {
+        return _formatGitSource(gitSource);
+    } else {
+        return path.resolve(manifestPath);
+    }
+}
+
+/*
+ * Resolve an `include` entry of the given (normalized) manifest path. A
+ * relative include of a manifest from a git source refers to a file at the
+ * same ref of the same git repo.
+ *
+ * A manifest from a git source can only include other git sources or files in
+ * its own git repo: a local file include would depend on the machine on which
+ * it is loaded. This throws for such an include.
+ */
+function resolveInclude(manifestPath, includePath) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.string(includePath, 'includePath');
+
+    var gitSource = parseGitSource(manifestPath);
+    if (isGitSource(includePath)) {
+        return normalizeManifestPath(includePath);
+    } else if (gitSource) {
+        var includeGitPath = path.posix.join(
+            path.posix.dirname(gitSource.path),
+            includePath
+        );
+        if (
+            path.posix.isAbsolute(includePath) ||
+            includeGitPath === '..' ||
+            includeGitPath.slice(0, 3) === '../'
+        ) {
+            throw new VError(
+                'include "%s" of a manifest from a git source is not in its ' +
+                    'git repo (use a relative path in the repo, or a ' +
+                    '"git+URL#REF:PATH" git source)',
+                includePath
+            );
+        }
+        return _formatGitSource({
+            url: gitSource.url,
+            ref: gitSource.ref,
+            path: includeGitPath
+        });
+    } else if (path.isAbsolute(includePath)) {
+        return normalizeManifestPath(includePath);
+    } else {
+        return path.resolve(path.dirname(manifestPath), includePath);
+    }
+}
+
+/*
+ * Update the cached bare clone of the given git URL (cloning it if it isn't
+ * yet cached).
+ *
+ * @param {String} url
+ * @param {Object} opts
+ *      - @param {String} opts.gitCacheDir
+ * @param {Function} cb - `function (err)`
+ */
+function refreshGitCache(url, opts, cb) {
+    assert.string(url, 'url');
+    assert.object(opts, 'opts');
+    assert.string(opts.gitCacheDir, 'opts.gitCacheDir');
+    assert.func(cb, 'cb');
+
+    _ensureGitCache(url, opts.gitCacheDir, function onCache(
+        cacheErr,
+        gitDir,
+        cloned
+    ) {
+        if (cacheErr || cloned) {
+            cb(cacheErr);
+            return;
+        }
+        forkExecWait(
+            {
+                argv: [
+                    'git',
+                    '--git-dir',
+                    gitDir,
+                    'fetch',
+                    '--quiet',
+                    '--prune',
+                    '--force',
+                    '--',
+                    url,
+                    '+refs/heads/*:refs/heads/*',
+                    '+refs/tags/*:refs/tags/*'
+                ]
+            },
+            function onFetch(fetchErr) {
+                if (fetchErr) {
+                    cb(new VError(fetchErr, 'could not fetch "%s"', url));
+                } else {
+                    cb();
+                }
+            }
+        );
+    });
+}
+
+/*
+ * Return the repo name of the given `excludedRepositories` entry: a repo name
+ * or an exclusion object.
+ */
+function exclusionName(entry) {
+    return typeof entry === 'string' ? entry : entry.name;
+}
+
+/*
+ * Return the given `excludedRepositories` entry as an exclusion object, with
+ * `name` and, if recorded, `reason` and `excludedAt`.
+ */
+function normalizeExclusion(entry) {
+    return typeof entry === 'string' ? {name: entry} : entry;
+}
+
+/*
+ * Return the groups of the given manifest of which the named repo is a
+ * member, in manifest order.
+ */
+function repoGroups(manifest, repoName) {
+    var groups = Array.isArray(manifest.groups) ? manifest.groups : [];
+    return groups.filter(function isMember(group) {
+        // Be defensive, as for unvalidated manifest revisions.
+        if (!group || !Array.isArray(group.members)) {
+            return false;
+        }
+        return group.members.some(function aMember(member) {
+            return minimatch(repoName, member, MEMBER_GLOB_OPTS);
+        });
+    });
+}
+
+/*
+ * Return the labels that the named repo gets in the given manifest from other
+ * than its repo entry: the manifest `defaults` labels, overridden by those of
+ * the groups of which the repo is a member (later groups win). The repo
+ * entry's own labels override these.
+ *
+ * @returns {Object} With `labels`, the label values, and `from`, mapping each
+ *      label name to where its value came from: "defaults" or "group:NAME".
+ */
+function repoBaseLabels(manifest, repoName) {
+    var base = {labels: {}, from: {}};
+    var defaultLabels = (manifest.defaults && manifest.defaults.labels) || {};
+    for (var label of Object.keys(defaultLabels)) {
+        base.labels[label] = defaultLabels[label];
+        base.from[label] = 'defaults';
+    }
+    for (var group of repoGroups(manifest, repoName)) {
+        for (var groupLabel of Object.keys(group.labels || {})) {
+            base.labels[groupLabel] = group.labels[groupLabel];
+            base.from[groupLabel] = 'group:' + group.name;
+        }
+    }
+    return base;
+}
+
+/*
+ * Describe where a label value came from, per `repoBaseLabels` `from`, for
+ * messages, e.g. 'the "defaults"' or 'group "manta-services"'.
+ */
+function describeLabelFrom(from) {
+    return from === 'defaults'
+        ? 'the "defaults"'
+        : format('group "%s"', from.replace(/^group:/, ''));
+}
+
+/*
+ * Validate the given parsed manifest against the manifest schema.
+ *
+ * @returns {Array} An array of `{path, message}` objects, one for each
+ *      validation error. `path` is the JSON path to the offending value,
+ *      e.g. "repositories[3].labels". The array is empty if the manifest is
+ *      valid.
+ */
+function validateManifest(manifest) {
+    if (
+        typeof manifest !== 'object' ||
+        manifest === null ||
+        Array.isArray(manifest)
+    ) {
+        return [{path: '(root)', message: 'must be an object'}];
+    }
+
+    var report = jsonSchema.validate(manifest, MANIFEST_SCHEMA);
+    var errs = report.errors.map(_schemaError);
+
+    if (typeof manifest.repoPathTemplate === 'string') {
+        try {
+            pathtemplate.parseRepoPathTemplate(manifest.repoPathTemplate);
+        } catch (tmplErr) {
+            errs.push({path: 'repoPathTemplate', message: tmplErr.message});
+        }
+    }
+
+    if (Array.isArray(manifest.excludedRepositories)) {
+        manifest.excludedRepositories.forEach(function anExcl(entry, i) {
+            var entryPath = format('excludedRepositories[%d]', i);
+            if (
+                typeof entry !== 'string' &&
+                (typeof entry !== 'object' ||
+                    entry === null ||
+                    Array.isArray(entry))
+            ) {
+                errs.push({
+                    path: entryPath,
+                    message: 'must be a repo name or an exclusion object'
+                });
+                return;
+            }
+            var entryReport = jsonSchema.validate(
+                entry,
+                typeof entry === 'string' ? REPO_NAME_SCHEMA : EXCLUSION_SCHEMA
+            );
+            for (var e of entryReport.errors.map(_schemaError)) {
+                errs.push({
+                    path:
+                        e.path === '(root)'
+                            ? entryPath
+                            : entryPath + '.' + e.path,
+                    message: e.message
+                });
+            }
+        });
+    }
+
+    if (Array.isArray(manifest.repositories)) {
+        manifest.repositories.forEach(function aRepo(repo, i) {
+            if (repo && Array.isArray(repo.metadata)) {
+                errs.push({
+                    path: format('repositories[%d].metadata', i),
+                    message: 'must be an object, not an array'
+                });
+            }
+        });
+    }
+
+    if (Array.isArray(manifest.groups)) {
+        var groupIndex = {};
+        manifest.groups.forEach(function aGroup(group, i) {
+            if (!group || typeof group.name !== 'string') {
+                return;
+            } else if (groupIndex.hasOwnProperty(group.name)) {
+                errs.push({
+                    path: format('groups[%d].name', i),
+                    message: format(
+                        'duplicate group name "%s" (see groups[%d])',
+                        group.name,
+                        groupIndex[group.name]
+                    )
+                });
+            } else {
+                groupIndex[group.name] = i;
+            }
+        });
+    }
+
+    if (Array.isArray(manifest.labelRules)) {
+        manifest.labelRules.forEach(function aRule(rule, i) {
+            if (rule && typeof rule.pattern === 'string') {
+                try {
+                    // eslint-disable-next-line no-new
+                    new RegExp(rule.pattern);
+                } catch (reErr) {
+                    errs.push({
+                        path: format('labelRules[%d].pattern', i),
+                        message: reErr.message
+                    });
+                }
+            }
+        });
+    }
+
+    // A manifest that only includes other manifests need not have repos.
+    if (manifest.repositories === undefined && !manifest.include) {
+        errs.push({
+            path: 'repositories',
+            message: 'is missing and it is required (unless "include" is given)'
+        });
+    }
+
+    // json-schema can report more than one error for a value (e.g. a wrong
+    // type for an object with `additionalProperties`), and the checks above
+    // can repeat a schema error. Only the first error for each path is kept.
+    var seenPaths = {};
+    return errs.filter(function firstForPath(e) {
+        if (seenPaths.hasOwnProperty(e.path)) {
+            return false;
+        }
+        seenPaths[e.path] = true;
+        return true;
+    });
+}
+
+/*
+ * Create an error for the given manifest validation errors (as returned by
+ * `validateManifest`). The message lists every error.
+ */
+function manifestValidationError(manifestPath, errs) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.arrayOfObject(errs, 'errs');
+
+    return new VError(
+        {
+            name: 'ManifestValidationError',
+            info: {
+                manifestPath: manifestPath,
+                errors: errs
+            }
+        },
+        'repos manifest "%s" is invalid:\n    %s',
+        manifestPath,
+        errs
+            .map(function fmtErr(e) {
+                return e.path + ': ' + e.message;
+            })
+            .join('\n    ')
+    );
+}
+
+/*
+ * Read, parse and validate the manifest at the given path.
+ *
+ * @param {String} manifestPath - A file path or git source.
+ * @param {Object} opts
+ *      - @param {String} opts.gitCacheDir - Optional. The directory holding
+ *        cached clones for git sources. Required to read a git source.
+ * @param {Function} cb - `function (err, manifest)`
+ */
+function readManifest(manifestPath, opts, cb) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.gitCacheDir, 'opts.gitCacheDir');
+    assert.func(cb, 'cb');
+
+    _readManifestContent(manifestPath, opts, function onRead(readErr, content) {
+        if (readErr) {
+            cb(
+                new VError(
+                    readErr,
+                    'could not read repos manifest "%s"',
+                    manifestPath
+                )
+            );
+            return;
+        }
+
+        var manifest;
+        try {
+            manifest = JSON.parse(content);
+        } catch (parseErr) {
+            cb(
+                new VError(
+                    parseErr,
+                    'repos manifest "%s" is not valid JSON',
+                    manifestPath
+                )
+            );
+            return;
+        }
+
+        var errs = validateManifest(manifest);
+        if (errs.length > 0) {
+            cb(manifestValidationError(manifestPath, errs));
+        } else {
+            cb(null, manifest, content);
+        }
+    });
+}
+
+/*
+ * Return a copy of the given value with object keys in canonical order: the
+ * order of the schema `properties`, then any others sorted. Keys of objects
+ * without `properties` (e.g. labels) are sorted.
+ */
+function _canonicalize(value, schema) {
+    if (Array.isArray(value)) {
+        return value.map(function canonItem(item) {
+            return _canonicalize(item, schema && schema.items);
+        });
+    } else if (typeof value !== 'object' || value === null) {
+        return value;
+    }
+
+    var props = (schema && schema.properties) || {};
+    var keys = Object.keys(props).filter(function inValue(k) {
+        return value.hasOwnProperty(k);
+    });
+    keys = keys.concat(
+        Object.keys(value)
+            .filter(function notInProps(k) {
+                return !props.hasOwnProperty(k);
+            })
+            .sort()
+    );
+
+    var canon = {};
+    for (var k of keys) {
+        var propSchema = props[k];
+        if (
+            !propSchema &&
+            schema &&
+            typeof schema.additionalProperties === 'object'
+        ) {
+            propSchema = schema.additionalProperties;
+        }
+        canon[k] = _canonicalize(value[k], propSchema);
+    }
+    return canon;
+}
+
+/*
+ * Return the canonical JSON text for the given manifest: keys in a fixed order
+ * (that of `MANIFEST_SCHEMA`), labels sorted by name, `repositories` sorted by
+ * name, and `excludedRepositories` sorted, with 4-space indentation.
+ */
+function formatManifest(manifest) {
+    assert.object(manifest, 'manifest');
+
+    var canon = _canonicalize(manifest, MANIFEST_SCHEMA);
+    if (Array.isArray(canon.repositories)) {
+        canon.repositories.sort(function cmpRepo(a, b) {
+            return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+        });
+    }
+    if (Array.isArray(canon.excludedRepositories)) {
+        canon.excludedRepositories = canon.excludedRepositories
+            .map(function canonExcl(entry) {
+                return _canonicalize(entry, EXCLUSION_SCHEMA);
+            })
+            .sort(function cmpExcl(a, b) {
+                var aName = exclusionName(a);
+                var bName = exclusionName(b);
+                return aName < bName ? -1 : aName > bName ? 1 : 0;
+            });
+    }
+
+    return JSON.stringify(canon, null, 4) + '\n';
+}
+
+/*
+ * Write the given manifest, in canonical form (see `formatManifest`), to the
+ * given local file path.
+ */
+function saveManifest(manifestPath, manifest, cb) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.object(manifest, 'manifest');
+    assert.func(cb, 'cb');
+
+    if (isGitSource(manifestPath)) {
+        cb(
+            new VError('cannot write to git source manifest "%s"', manifestPath)
+        );
+        return;
+    }
+
+    fs.writeFile(
+        manifestPath,
+        formatManifest(manifest),
+        'utf8',
+        function onWrite(err) {
+            if (err) {
+                cb(
+                    new VError(
+                        err,
+                        'could not write manifest "%s"',
+                        manifestPath
+                    )
+                );
+            } else {
+                cb();
+            }
+        }
+    );
+}
+
+/*
+ * Apply a label change to the entry for `repoName` in the given (unmerged)
+ * manifest object. Returns a change object (`{manifestPath, repo, label,
+ * oldValue, newValue}`), or null if the label value is unchanged. Throws if
+ * the change is not possible.
+ *
+ * A `value` of undefined means to unset the label. Labels are set and unset
+ * on the repo entry, respecting the manifest `defaults` and `groups` (see
+ * `repoBaseLabels`): a label set to its default or group value is removed
+ * from the repo entry. A label from `defaults` or a group cannot be unset.
+ */
+function applyLabelChange(manifestPath, manifest, repoName, label, value) {
+    var entry = (manifest.repositories || [])[_repoIndex(manifest, repoName)];
+    if (!entry) {
+        throw new VError(
+            'repo "%s" is not in manifest "%s"',
+            repoName,
+            manifestPath
+        );
+    }
+    var base = repoBaseLabels(manifest, repoName);
+    var defaultValue = base.labels[label];
+    var labels = entry.labels || {};
+    var oldValue = labels.hasOwnProperty(label) ? labels[label] : defaultValue;
+
+    if (value === undefined) {
+        if (defaultValue !== undefined) {
+            throw new VError(
+                'cannot unset label "%s" of repo "%s": it is set by %s of ' +
+                    'manifest "%s" (a label from "defaults" or "groups" ' +
+                    'cannot be unset, set it to another value instead)',
+                label,
+                repoName,
+                describeLabelFrom(base.from[label]),
+                manifestPath
+            );
+        }
+        delete labels[label];
+    } else {
+        var blessed = (manifest.blessedLabels || []).find(function aLabel(bl) {
+            return bl.name === label;
+        });
+        if (blessed && blessed.type === 'string' && typeof value !== 'string') {
+            value = String(value);
+        } else if (blessed && typeof value !== blessed.type) {
+            throw new VError(
+                'invalid value for label "%s": %j is not a %s (per the ' +
+                    'blessedLabels of manifest "%s")',
+                label,
+                value,
+                blessed.type,
+                manifestPath
+            );
+        }
+
+        if (value === defaultValue) {
+            delete labels[label];
+        } else {
+            labels[label] = value;
+        }
+    }
+
+    if (Object.keys(labels).length > 0) {
+        entry.labels = labels;
+    } else {
+        delete entry.labels;
+    }
+
+    if (oldValue === value) {
+        return null;
+    }
+    return {
+        manifestPath: manifestPath,
+        repo: repoName,
+        label: label,
+        oldValue: oldValue,
+        newValue: value
+    };
+}
+
+/*
+ * Return the index of the named repo in the manifest's `repositories`, or -1.
+ */
+function _repoIndex(manifest, repoName) {
+    return (manifest.repositories || []).findIndex(function aRepo(r) {
+        return r.name === repoName;
+    });
+}
+
+/*
+ * Return the index of the named repo in the manifest's `excludedRepositories`,
+ * or -1.
+ */
+function _exclusionIndex(manifest, repoName) {
+    return (manifest.excludedRepositories || []).findIndex(function anExcl(
+        entry
+    ) {
+        return exclusionName(entry) === repoName;
+    });
+}
+
+/*
+ * Remove the named repo from the manifest's `excludedRepositories`, dropping
+ * the field if that empties it. Returns true if the repo was there.
+ */
+function _unexcludeRepo(manifest, repoName) {
+    var excluded = manifest.excludedRepositories || [];
+    var idx = _exclusionIndex(manifest, repoName);
+    if (idx === -1) {
+        return false;
+    }
+    excluded.splice(idx, 1);
+    if (excluded.length === 0) {
+        delete manifest.excludedRepositories;
+    }
+    return true;
+}
+
+function _assertRepoName(repoName) {
+    if (!new RegExp(REPO_NAME_SCHEMA.pattern).test(repoName)) {
+        throw new VError(
+            'invalid repo name %j: must match %s',
+            repoName,
+            REPO_NAME_SCHEMA.pattern
+        );
+    }
+}
+
+/*
+ * Add the named repo to the manifest's `repositories`. It is an error if the
+ * repo is already there, or is in `excludedRepositories` unless `opts.move`
+ * is true (in which case it is removed from there).
+ *
+ * @param {Object} opts
+ *      - @param {String} opts.manifestPath - For error messages.
+ *      - @param {Boolean} opts.move - Optional. Move the repo from
+ *        `excludedRepositories`.
+ */
+function addRepo(manifest, repoName, opts) {
+    assert.object(manifest, 'manifest');
+    assert.string(repoName, 'repoName');
+    assert.object(opts, 'opts');
+    assert.string(opts.manifestPath, 'opts.manifestPath');
+    assert.optionalBool(opts.move, 'opts.move');
+
+    _assertRepoName(repoName);
+    if (_repoIndex(manifest, repoName) !== -1) {
+        throw new VError(
+            'repo "%s" is already in "repositories" of manifest "%s"',
+            repoName,
+            opts.manifestPath
+        );
+    }
+    if (_exclusionIndex(manifest, repoName) !== -1) {
+        if (!opts.move) {
+            throw new VError(
+                'repo "%s" is in "excludedRepositories" of manifest "%s" ' +
+                    '(use --move to move it)',
+                repoName,
+                opts.manifestPath
+            );
+        }
+        _unexcludeRepo(manifest, repoName);
+    }
+
+    if (!manifest.repositories) {
+        manifest.repositories = [];
+    }
+    manifest.repositories.push({name: repoName});
+}
+
+/*
+ * Add the named repo to the manifest's `excludedRepositories`. It is an
+ * error if the repo is already there, or is in `repositories` unless
+ * `opts.move` is true (in which case it is removed from there).
+ *
+ * @param {Object} opts
+ *      - @param {String} opts.manifestPath - For error messages.
+ *      - @param {Boolean} opts.move - Optional. Move the repo from
+ *        `repositories`.
+ *      - @param {String} opts.reason - Optional. Why the repo is excluded.
+ *      - @param {String} opts.excludedAt - Optional. The date ("YYYY-MM-DD")
+ *        of the exclusion.
+ *      If either of these is given, the entry is an exclusion object rather
+ *      than a name.
+ */
+function excludeRepo(manifest, repoName, opts) {
+    assert.object(manifest, 'manifest');
+    assert.string(repoName, 'repoName');
+    assert.object(opts, 'opts');
+    assert.string(opts.manifestPath, 'opts.manifestPath');
+    assert.optionalBool(opts.move, 'opts.move');
+    assert.optionalString(opts.reason, 'opts.reason');
+    assert.optionalString(opts.excludedAt, 'opts.excludedAt');
+
+    _assertRepoName(repoName);
+    if (_exclusionIndex(manifest, repoName) !== -1) {
+        throw new VError(
+            'repo "%s" is already in "excludedRepositories" of manifest "%s"',
+            repoName,
+            opts.manifestPath
+        );
+    }
+    var idx = _repoIndex(manifest, repoName);
+    if (idx !== -1) {
+        if (!opts.move) {
+            throw new VError(
+                'repo "%s" is in "repositories" of manifest "%s" (use ' +
+                    '--move to move it)',
+                repoName,
+                opts.manifestPath
+            );
+        }
+        manifest.repositories.splice(idx, 1);
+    }
+
+    if (!manifest.excludedRepositories) {
+        manifest.excludedRepositories = [];
+    }
+    if (opts.reason || opts.excludedAt) {
+        var exclusion = {name: repoName};
+        if (opts.reason) {
+            exclusion.reason = opts.reason;
+        }
+        if (opts.excludedAt) {
+            exclusion.excludedAt = opts.excludedAt;
+        }
+        manifest.excludedRepositories.push(exclusion);
+    } else {
+        manifest.excludedRepositories.push(repoName);
+    }
+}
+
+/*
+ * Remove the named repo from the manifest's `repositories` or
+ * `excludedRepositories`. It is an error if it is in neither.
+ *
+ * @param {Object} opts
+ *      - @param {String} opts.manifestPath - For error messages.
+ * @returns {String} The name of the list from which the repo was removed.
+ */
+function removeRepo(manifest, repoName, opts) {
+    assert.object(manifest, 'manifest');
+    assert.string(repoName, 'repoName');
+    assert.object(opts, 'opts');
+    assert.string(opts.manifestPath, 'opts.manifestPath');
+
+    var idx = _repoIndex(manifest, repoName);
+    if (idx !== -1) {
+        manifest.repositories.splice(idx, 1);
+        return 'repositories';
+    }
+    if (_unexcludeRepo(manifest, repoName)) {
+        return 'excludedRepositories';
+    }
+    throw new VError(
+        'repo "%s" is not in manifest "%s"',
+        repoName,
+        opts.manifestPath
+    );
+}
+
+/*
+ * Edit the local manifest file at `manifestPath`: read it, call
+ * `editFn(manifest)` to change the manifest object in place, then validate
+ * and save it (in canonical format). `editFn` may throw an error to abort the
+ * edit, and returns false if the manifest should not be saved (e.g. if
+ * nothing changed).
+ *
+ * @param {Function} cb - `function (err)`
+ */
+function editManifest(manifestPath, editFn, cb) {
+    assert.string(manifestPath, 'manifestPath');
+    assert.func(editFn, 'editFn');
+    assert.func(cb, 'cb');
+
+    if (isGitSource(manifestPath)) {
+        cb(new VError('cannot edit git source manifest "%s"', manifestPath));
+        return;
+    }
+
+    readManifest(manifestPath, {}, function onRead(readErr, manifest) {
+        if (readErr) {
+            cb(readErr);
+            return;
+        }
+
+        var save;
+        try {
+            save = editFn(manifest);
+        } catch (editErr) {
+            cb(editErr);
+            return;
+        }
+
+        var errs = validateManifest(manifest);
+        if (errs.length > 0) {
+            cb(manifestValidationError(manifestPath, errs));
+        } else if (save === false) {
+            cb();
+        } else {
+            saveManifest(manifestPath, manifest, cb);
+        }
+    });
+}
+
+module.exports = {
+    DEFAULT_SOURCE: DEFAULT_SOURCE,
+    LINT_SEVERITIES: LINT_SEVERITIES,
+    MANIFEST_SCHEMA: MANIFEST_SCHEMA,
+    resolveSource: resolveSource,
+    repoUrlsFromSource: repoUrlsFromSource,
+    isGitSource: isGitSource,
+    parseGitSource: parseGitSource,
+    localGitSource: localGitSource,
+    readManifestHistory: readManifestHistory,
+    normalizeManifestPath: normalizeManifestPath,
+    resolveInclude: resolveInclude,
+    refreshGitCache: refreshGitCache,
+    exclusionName: exclusionName,
+    normalizeExclusion: normalizeExclusion,
+    repoGroups: repoGroups,
+    repoBaseLabels: repoBaseLabels,
+    describeLabelFrom: describeLabelFrom,
+    validateManifest: validateManifest,
+    manifestValidationError: manifestValidationError,
+    readManifest: readManifest,
+    formatManifest: formatManifest,
+    saveManifest: saveManifest,
+    editManifest: editManifest,
+    applyLabelChange: applyLabelChange,
+    addRepo: addRepo,
+    excludeRepo: excludeRepo,
+    removeRepo: removeRepo
+};
+
+// vim: set softtabstop=4 shiftwidth=4:
@@ -0,0 +1,169 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Repo clone path templates.
+ *
+ * A template gives the path of a repo clone relative to the base dir. Text in
+ * braces is replaced by a value for the repo, and other text is used as is.
+ * The braces hold one or more alternatives separated by "|". The first that
+ * gives a value (other than undefined, null, false or the empty string) is
+ * used. An alternative is either a dotted field lookup on the repo object
+ * (e.g. "name", "labels.tritonservice"), or a double-quoted string, e.g.:
+ *
+ *      {labels.tritonservice|labels.mantaservice|"misc"}/{name}
+ *
+ * The default template is "{name}".
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var path = require('path');
+var VError = require('verror');
+
+// ---- globals
+
+var DEFAULT_REPO_PATH_TEMPLATE = '{name}';
+
+var FIELD_RE = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+var LITERAL_RE = /^"([^"]*)"$/;
+
+// ---- internal support
+
+function _lookup(obj, field) {
+    var val = obj;
+    for (var part of field.split('.')) {
+        if (val === undefined || val === null || typeof val !== 'object') {
+            return undefined;
+        }
+        val = val[part];
+    }
+    return val;
+}
+
+// ---- exports
+
+/*
+ * Parse a repo path template string. Returns an array of parts: strings for
+ * literal text, and arrays of alternatives for braced expressions. Each
+ * alternative is `{field}` or `{literal}`. Throws on an invalid template.
+ */
+function parseRepoPathTemplate(s) {
+    assert.string(s, 's');
+
+    var parts = [];
+    var rest = s;
+    while (rest.length > 0) {
+        var open = rest.indexOf('{');
+        if (open === -1) {
+            parts.push(rest);
+            break;
+        } else if (open > 0) {
+            parts.push(rest.slice(0, open));
+        }
+        var close = rest.indexOf('}', open);
+        if (close === -1) {
+            throw new VError('invalid repo path template, unclosed "{": %j', s);
+        }
+        var alts = rest
+            .slice(open + 1, close)
+            .split('|')
+            .map(function parseAlt(alt) {
+                alt = alt.trim();
+                var match = LITERAL_RE.exec(alt);
+                if (match) {
+                    return {literal: match[1]};
+                } else if (FIELD_RE.test(alt)) {
+                    return {field: alt};
+                }
+                throw new VError(
+                    'invalid repo path template, %j is not a field name ' +
+                        'or a double-quoted string: %j',
+                    alt,
+                    s
+                );
+            });
+        parts.push(alts);
+        rest = rest.slice(close + 1);
+    }
+
+    var unopened = parts.some(function hasClose(part) {
+        return typeof part === 'string' && part.indexOf('}') !== -1;
+    });
+    if (unopened) {
+        throw new VError('invalid repo path template, unopened "}": %j', s);
+    }
+    return parts;
+}
+
+/*
+ * Render the given (parsed) repo path template for the given repo. Throws if
+ * no alternative of a braced expression gives a value, or if a value would
+ * escape the base dir. The returned path is normalized.
+ */
+function renderRepoPath(parts, repo) {
+    assert.array(parts, 'parts');
+    assert.object(repo, 'repo');
+
+    var rendered = parts.map(function renderPart(part) {
+        if (typeof part === 'string') {
+            return part;
+        }
+        for (var alt of part) {
+            var val =
+                alt.literal !== undefined
+                    ? alt.literal
+                    : _lookup(repo, alt.field);
+            if (
+                val === undefined ||
+                val === null ||
+                val === false ||
+                val === ''
+            ) {
+                continue;
+            }
+            val = String(val);
+            if (val.indexOf('/') !== -1 || val === '.' || val === '..') {
+                throw new VError(
+                    'repo path template value for repo "%s" is not a ' +
+                        'valid path component: %j',
+                    repo.name,
+                    val
+                );
+            }
+            return val;
+        }
+        throw new VError(
+            'no repo path template value for repo "%s" from {%s}',
+            repo.name,
+            part
+                .map(function fmtAlt(a) {
+                    return a.field || JSON.stringify(a.literal);
+                })
+                .join('|')
+        );
+    });
+
+    var repoPath = path.normalize(rendered.join(''));
+    if (
+        path.isAbsolute(repoPath) ||
+        repoPath === '.' ||
+        repoPath === '..' ||
+        repoPath.slice(0, 3) === '..' + path.sep
+    ) {
+        throw new VError(
+            'repo path for repo "%s" is not under the base dir: %j',
+            repo.name,
+            repoPath
+        );
+    }
+    return repoPath;
+}
+
+module.exports = {
+    DEFAULT_REPO_PATH_TEMPLATE: DEFAULT_REPO_PATH_TEMPLATE,
+    parseRepoPathTemplate: parseRepoPathTemplate,
+    renderRepoPath: renderRepoPath
+};
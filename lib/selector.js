@@ -0,0 +1,820 @@
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * Repo label selectors and selector expressions.
+ *
+ * A label selector matches repos by one label (or pseudo-label) value, e.g.
+ * "lang=js", "!meta", "tritonservice in (imgapi, papi)", "nodever>=10" or
+ * "mg=~/[0-9]$/". See `JoyentReposManager.listRepos` for the syntax.
+ *
+ * A selector expression combines label selectors with "&&" (and), "||" (or),
+ * "!" (not) and parentheses for grouping, e.g.:
+ *
+ *      (triton || manta) && !meta && lang=js
+ *
+ * "!" binds tightest, then "&&", then "||". A selector expression is parsed
+ * into an AST whose nodes are one of:
+ *
+ *      {type: 'or', args: [NODE, ...]}
+ *      {type: 'and', args: [NODE, ...]}
+ *      {type: 'not', arg: NODE}
+ *      {type: 'selector', selector: SELECTOR, pos: POS}
+ *
+ * where SELECTOR is as from `parseLabelSelector` and POS is the offset of the
+ * selector in the expression.
+ */
+
+'use strict';
+
+var assert = require('assert-plus');
+var format = require('util').format;
+var jsprim = require('jsprim');
+var minimatch = require('minimatch');
+var path = require('path');
+var VError = require('verror');
+
+// ---- globals
+
+/*
+ * Pseudo-labels are selector keys starting with "@" that match against
+ * information about a repo other than its labels. Each function here returns
+ * the pseudo-label value for the given repo. An array value matches a
+ * selector if any of its elements match.
+ */
+var PSEUDO_LABELS = {
+    // The paths of the manifests that define the repo.
+    manifest: function pseudoManifest(repo) {
+        return repo.manifests;
+    },
+    // The names of the manifest groups of which the repo is a member.
+    group: function pseudoGroup(repo) {
+        return repo.groups;
+    },
+
+    // The clone state pseudo-labels (see `CLONE_PSEUDO_LABELS`).
+    cloned: function pseudoCloned(repo) {
+        return _cloneState(repo, 'cloned');
+    },
+    dirty: function pseudoDirty(repo) {
+        return _cloneState(repo, 'dirty');
+    },
+    branch: function pseudoBranch(repo) {
+        return _cloneState(repo, 'branch');
+    },
+    ahead: function pseudoAhead(repo) {
+        return _cloneState(repo, 'ahead');
+    },
+    behind: function pseudoBehind(repo) {
+        return _cloneState(repo, 'behind');
+    },
+    has: function pseudoHas(repo) {
+        return _cloneState(repo, 'has');
+    }
+};
+
+/*
+ * Pseudo-labels computed from the state of a repo's local clone, e.g. whether
+ * it has uncommitted changes. Getting these is relatively slow, so
+ * `JoyentReposManager.listRepos` only gets them (into `repo.cloneState`) for
+ * the pseudo-labels used in the given selectors.
+ */
+var CLONE_PSEUDO_LABELS = [
+    'cloned',
+    'dirty',
+    'branch',
+    'ahead',
+    'behind',
+    'has'
+];
+
+// Glob options for matching selector values. Pseudo-labels whose values are
+// paths allow "**" to match across path separators.
+var SELECTOR_GLOB_OPTS = {
+    noglobstar: true,
+    dot: true,
+    nocomment: true,
+    nonegate: true
+};
+var PSEUDO_SELECTOR_GLOB_OPTS = {
+    dot: true,
+    nocomment: true,
+    nonegate: true,
+    matchBase: true
+};
+
+// Label selector operators that compare numbers.
+var COMPARISON_OPS = ['<', '<=', '>', '>='];
+
+// The label selector operators usable with "@has". Its values are paths that
+// are checked for in each clone, so other operators, and globs, cannot work.
+var HAS_OPS = ['=', '!=', 'in', 'notin'];
+var GLOB_CHARS_RE = /[*?[\]{}]/;
+
+// Label selector operators that match a "/regex/flags" value.
+var REGEX_OPS = ['=~', '!~'];
+
+// A "/regex/flags" string. The "g" and "y" flags are not allowed, as they make
+// `RegExp.test` stateful.
+var REGEX_LITERAL_RE = /^\/(.*)\/([a-z]*)$/;
+var REGEX_FLAGS_RE = /^[imsu]*$/;
+
+// The "@metadata.PATH" selector key matches against the value at the given
+// dotted PATH in the repo's `metadata` (or against all of it, for
+// "@metadata").
+var METADATA_SELECTOR_RE = /^@metadata(?:\.(.+))?$/;
+
+// The end of the text of an "in" or "notin" selector before its value set.
+var SET_OP_END_RE = /\s(in|notin)\s*$/;
+
+// ---- internal support
+
+function _cloneState(repo, name) {
+    if (!repo.cloneState) {
+        throw new VError(
+            'cannot match the "@%s" pseudo-label: the clone state of repo ' +
+                '"%s" has not been loaded',
+            name,
+            repo.name
+        );
+    }
+    return repo.cloneState[name];
+}
+
+/*
+ * Check that the given (parsed) "@has" label selector is of a form that can be
+ * checked: see `HAS_OPS`. Its paths must be under the clone dir, as for repo
+ * clone paths in "lib/pathtemplate.js".
+ */
+function _checkHasSelector(selector, ls) {
+    if (HAS_OPS.indexOf(selector.op) === -1) {
+        throw new VError(
+            'invalid label selector, "@has" must be used as "@has=PATH", ' +
+                '"@has!=PATH", "@has in (PATH, ...)" or ' +
+                '"@has notin (PATH, ...)": %j',
+            ls
+        );
+    }
+    for (var value of selector.values || [selector.value]) {
+        var hasPath = String(value);
+        if (GLOB_CHARS_RE.test(hasPath)) {
+            throw new VError(
+                'invalid label selector, "@has" paths cannot be globs: %j',
+                ls
+            );
+        } else if (
+            path.isAbsolute(hasPath) ||
+            hasPath.split(/[\\/]/).indexOf('..') !== -1
+        ) {
+            throw new VError(
+                'invalid label selector, "@has" path %j is not under the ' +
+                    'clone dir: %j',
+                hasPath,
+                ls
+            );
+        }
+    }
+}
+
+/*
+ * Convert a label selector value to a number or boolean, where it parses as
+ * one.
+ */
+function _convertSelectorValue(value) {
+    var num = Number(value);
+    if (!isNaN(num)) {
+        return num;
+    } else if (value === 'true') {
+        return true;
+    } else if (value === 'false') {
+        return false;
+    }
+    return value;
+}
+
+/*
+ * Return the offset just past the regex literal starting with the "/" at
+ * `start` in `s` (including its flags), or -1 if it is unterminated. A "/" in
+ * a character class or escaped with a backslash does not end the regex.
+ */
+function _regexLiteralEnd(s, start) {
+    assert.equal(s[start], '/');
+    var inClass = false;
+    for (var i = start + 1; i < s.length; i++) {
+        var c = s[i];
+        if (c === '\\') {
+            i++;
+        } else if (inClass) {
+            if (c === ']') {
+                inClass = false;
+            }
+        } else if (c === '[') {
+            inClass = true;
+        } else if (c === '/') {
+            i++;
+            while (i < s.length && /[a-z]/.test(s[i])) {
+                i++;
+            }
+            return i;
+        }
+    }
+    return -1;
+}
+
+/*
+ * Return true if the given (non-undefined) label value is equal to the given
+ * selector value. String values are glob-matched.
+ */
+function _valueMatch(val, selectorValue, globOpts) {
+    if (typeof val !== 'string' || typeof selectorValue !== 'string') {
+        // String() rather than `toString()`, as metadata values may be null.
+        return String(val) === String(selectorValue);
+    } else {
+        return minimatch(val, selectorValue, globOpts);
+    }
+}
+
+/*
+ * Return the given label value of a repo as a number, for the numeric
+ * comparison selectors. Numeric string values are converted. Other values are
+ * an error.
+ */
+function _numericLabelValue(repo, selector, val) {
+    if (typeof val === 'number') {
+        return val;
+    } else if (
+        typeof val === 'string' &&
+        val.trim().length > 0 &&
+        !isNaN(Number(val))
+    ) {
+        return Number(val);
+    }
+    throw new VError(
+        'cannot compare label "%s" of repo "%s" with "%s %s": its value, ' +
+            '%j, is not a number',
+        selector.key,
+        repo.name,
+        selector.op,
+        selector.value,
+        val
+    );
+}
+
+// ---- exports
+
+/*
+ * Return true if the given string is of the "/regex/flags" form.
+ */
+function isRegexLiteral(s) {
+    return REGEX_LITERAL_RE.test(s);
+}
+
+/*
+ * Parse a "/regex/flags" string into a RegExp. This returns null if the string
+ * is not of that form, and throws if the regex or its flags are invalid.
+ */
+function parseRegex(s) {
+    assert.string(s, 's');
+
+    var match = REGEX_LITERAL_RE.exec(s);
+    if (!match) {
+        return null;
+    } else if (!REGEX_FLAGS_RE.test(match[2])) {
+        throw new VError(
+            'invalid regular expression flags, "%s" (must be any of "i", ' +
+                '"m", "s" and "u"): %s',
+            match[2],
+            s
+        );
+    }
+
+    try {
+        return new RegExp(match[1], match[2]);
+    } catch (reErr) {
+        // The SyntaxError message includes the regex, e.g.
+        // "Invalid regular expression: /(/: Unterminated group".
+        throw new VError('%s', reErr.message);
+    }
+}
+
+/*
+ * If `s` has a regex match operator ("=~" or "!~") at offset `i`, followed by
+ * a "/regex/flags" value, return the offset just past the value. Otherwise
+ * return -1.
+ *
+ * A regex may contain any characters, so code splitting text into label
+ * selectors (at commas, "&&", etc.) uses this to skip over them.
+ */
+function regexOperandEnd(s, i) {
+    assert.string(s, 's');
+    assert.number(i, 'i');
+
+    if (REGEX_OPS.indexOf(s.slice(i, i + 2)) === -1) {
+        return -1;
+    }
+    var start = i + 2;
+    while (start < s.length && /\s/.test(s[start])) {
+        start++;
+    }
+    return s[start] === '/' ? _regexLiteralEnd(s, start) : -1;
+}
+
+/*
+ * Return a function that returns true if a given repo name matches the given
+ * name pattern: a "/regex/flags" string (see `parseRegex`), or otherwise a
+ * glob. This throws if the regex is invalid.
+ */
+function nameMatcher(pattern) {
+    assert.string(pattern, 'pattern');
+
+    var regex = parseRegex(pattern);
+    if (regex) {
+        return function regexNameMatch(name) {
+            return regex.test(name);
+        };
+    }
+    return function globNameMatch(name) {
+        return minimatch(name, pattern, SELECTOR_GLOB_OPTS);
+    };
+}
+
+/*
+ * Parse a label selector string (e.g. `!foo`, `check=42`, `service=*`,
+ * `service in (imgapi, papi)`, `nodever>=10`, `mg=~/[0-9]$/`) into an object
+ * with the fields `op`, `key`, and `value` (or `values`, for the "in" and
+ * "notin" set operators). The "=~" and "!~" regex operators also have the
+ * parsed `regex`.
+ */
+function parseLabelSelector(ls) {
+    assert.string(ls, 'ls');
+    assert.ok(ls.length > 0);
+
+    var KEY_RE = /^@?[a-z_][a-z0-9\-_.]*/i;
+    var OP_RE = /^(=~|!~|!=|<=|>=|<|>|=|in\b|notin\b)/;
+    var s = ls.trim(); // Remainder of the label selector (ls) being parsed.
+    var match;
+    var selector;
+
+    if (s[0] === '!') {
+        // `!key`
+        s = s.slice(1).trimLeft();
+        match = KEY_RE.exec(s);
+        if (!match) {
+            throw new VError('invalid label selector: %j', ls);
+        } else if (match[0] !== s) {
+            // Didn't match the rest of the string, that's not right.
+            throw new VError(
+                'invalid label selector, leftover %j: %j',
+                s.slice(match[0].length),
+                ls
+            );
+        } else {
+            selector = {
+                op: 'falsey',
+                key: match[0]
+            };
+        }
+    } else {
+        match = KEY_RE.exec(s);
+        if (!match) {
+            throw new VError('invalid label selector: %j', ls);
+        }
+        var key = match[0];
+        s = s.slice(key.length).trimLeft();
+        if (s.length === 0) {
+            selector = {
+                op: 'truthy',
+                key: key
+            };
+        } else {
+            match = OP_RE.exec(s);
+            if (!match) {
+                throw new VError(
+                    'invalid label selector, could not match operator ' +
+                        'at %j: %j',
+                    s,
+                    ls
+                );
+            }
+            var op = match[0];
+            var value = s.slice(op.length).trim();
+            if (value.length === 0) {
+                throw new VError(
+                    'invalid label selector, value is empty: %j',
+                    ls
+                );
+            }
+
+            if (op === 'in' || op === 'notin') {
+                // `key in (v1, v2, ...)`
+                if (value[0] !== '(' || value[value.length - 1] !== ')') {
+                    throw new VError(
+                        'invalid label selector, "%s" values must be in ' +
+                            'parentheses, e.g. "%s %s (a, b)": %j',
+                        op,
+                        key,
+                        op,
+                        ls
+                    );
+                }
+                var values = value
+                    .slice(1, -1)
+                    .split(',')
+                    .map(function trimValue(v) {
+                        return v.trim();
+                    });
+                if (
+                    values.some(function isEmpty(v) {
+                        return v.length === 0;
+                    })
+                ) {
+                    throw new VError(
+                        'invalid label selector, empty value in set: %j',
+                        ls
+                    );
+                }
+                selector = {
+                    op: op,
+                    key: key,
+                    values: values.map(_convertSelectorValue)
+                };
+            } else if (REGEX_OPS.indexOf(op) !== -1) {
+                // `key=~/regex/flags`
+                var regex;
+                try {
+                    regex = parseRegex(value);
+                } catch (reErr) {
+                    throw new VError(
+                        'invalid label selector, %s: %j',
+                        reErr.message,
+                        ls
+                    );
+                }
+                if (!regex) {
+                    throw new VError(
+                        'invalid label selector, "%s" value must be a ' +
+                            'regular expression, e.g. "%s%s/^a/i": %j',
+                        op,
+                        key,
+                        op,
+                        ls
+                    );
+                }
+                selector = {
+                    op: op,
+                    key: key,
+                    value: value,
+                    regex: regex
+                };
+            } else {
+                selector = {
+                    op: op,
+                    key: key,
+                    value: _convertSelectorValue(value)
+                };
+                if (
+                    COMPARISON_OPS.indexOf(op) !== -1 &&
+                    typeof selector.value !== 'number'
+                ) {
+                    throw new VError(
+                        'invalid label selector, "%s" value is not a ' +
+                            'number: %j',
+                        op,
+                        ls
+                    );
+                }
+            }
+        }
+    }
+
+    assert.object(selector, 'selector');
+    if (
+        selector.key[0] === '@' &&
+        !PSEUDO_LABELS.hasOwnProperty(selector.key.slice(1)) &&
+        !METADATA_SELECTOR_RE.test(selector.key)
+    ) {
+        throw new VError(
+            'invalid label selector, unknown pseudo-label "%s" (must be ' +
+                'one of "@%s", or "@metadata.PATH"): %j',
+            selector.key,
+            Object.keys(PSEUDO_LABELS).join('", "@'),
+            ls
+        );
+    } else if (selector.key === '@has') {
+        _checkHasSelector(selector, ls);
+    }
+    return selector;
+}
+
+/*
+ * Return true if the given repo is matched by the given selector.
+ * Selector is an object of the form from `parseLabelSelector`.
+ *
+ * This throws if a numeric comparison selector is used with a label value that
+ * is not a number.
+ */
+function selectorMatch(repo, selector) {
+    var val;
+    var globOpts;
+    var metadataMatch = METADATA_SELECTOR_RE.exec(selector.key);
+    if (metadataMatch) {
+        val = metadataMatch[1]
+            ? jsprim.pluck(repo.metadata || {}, metadataMatch[1])
+            : repo.metadata;
+        globOpts = SELECTOR_GLOB_OPTS;
+    } else if (selector.key[0] === '@') {
+        val = PSEUDO_LABELS[selector.key.slice(1)](repo);
+        globOpts = PSEUDO_SELECTOR_GLOB_OPTS;
+    } else {
+        val = repo.labels[selector.key];
+        globOpts = SELECTOR_GLOB_OPTS;
+    }
+    var match;
+
+    switch (selector.op) {
+        case 'truthy':
+            match = Array.isArray(val) ? val.length > 0 : Boolean(val);
+            break;
+        case 'falsey':
+            match = Array.isArray(val) ? val.length === 0 : !val;
+            break;
+        case '!=':
+            if (val === undefined) {
+                match = true;
+            } else if (Array.isArray(val)) {
+                match = !val.some(function anyMatch(v) {
+                    return _valueMatch(v, selector.value, globOpts);
+                });
+            } else {
+                match = !_valueMatch(val, selector.value, globOpts);
+            }
+            break;
+        case '=':
+            if (val === undefined) {
+                match = false;
+            } else if (Array.isArray(val)) {
+                match = val.some(function anyMatch(v) {
+                    return _valueMatch(v, selector.value, globOpts);
+                });
+            } else {
+                match = _valueMatch(val, selector.value, globOpts);
+            }
+            break;
+        case 'in':
+        case 'notin':
+            // Whether the value (or any element of an array value) matches
+            // any of the selector values. A repo without the label is not
+            // "in" the set.
+            var vals = Array.isArray(val) ? val : [val];
+            match =
+                val !== undefined &&
+                vals.some(function anyIn(v) {
+                    return selector.values.some(function anyValue(sv) {
+                        return _valueMatch(v, sv, globOpts);
+                    });
+                });
+            if (selector.op === 'notin') {
+                match = !match;
+            }
+            break;
+        case '=~':
+        case '!~':
+            // Non-string values are matched as strings, e.g. `true` as
+            // "true". With an array value, any element may match. A repo
+            // without the label does not match "=~".
+            match =
+                val !== undefined &&
+                (Array.isArray(val) ? val : [val]).some(function anyRe(v) {
+                    return selector.regex.test(String(v));
+                });
+            if (selector.op === '!~') {
+                match = !match;
+            }
+            break;
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+            // A repo without the label does not match. With an array value,
+            // any element may match.
+            match =
+                val !== undefined &&
+                (Array.isArray(val) ? val : [val]).some(function anyCmp(v) {
+                    var num = _numericLabelValue(repo, selector, v);
+                    switch (selector.op) {
+                        case '<':
+                            return num < selector.value;
+                        case '<=':
+                            return num <= selector.value;
+                        case '>':
+                            return num > selector.value;
+                        default:
+                            return num >= selector.value;
+                    }
+                });
+            break;
+        default:
+            throw new VError('invalid selector op: %j', selector.op);
+    }
+
+    assert.bool(match, 'match');
+    return match;
+}
+
+/*
+ * Parse a selector expression (see the top of this file) into an AST.
+ *
+ * Errors give the (1-based) position in the expression at which the problem
+ * was found, and show it with a caret. They have the name
+ * "SelectorExpressionError" and `expr` and `pos` (0-based) in their info.
+ */
+function parseSelectorExpression(expr) {
+    assert.string(expr, 'expr');
+
+    var pos = 0;
+
+    function fail(msg, at) {
+        throw new VError(
+            {
+                name: 'SelectorExpressionError',
+                info: {expr: expr, pos: at}
+            },
+            'invalid selector expression at position %d: %s\n    %s\n    %s^',
+            at + 1,
+            msg,
+            expr,
+            ' '.repeat(at)
+        );
+    }
+
+    function skipSpace() {
+        while (pos < expr.length && /\s/.test(expr[pos])) {
+            pos++;
+        }
+    }
+
+    function lookingAt(token) {
+        skipSpace();
+        return expr.startsWith(token, pos);
+    }
+
+    // A label selector runs up to the next "&&", "||" or unmatched ")". Its
+    // only parentheses are the value set of an "in" or "notin" selector, or
+    // are in the value of a regex selector.
+    function parseSelector() {
+        var start = pos;
+        var setStart = -1;
+        while (pos < expr.length) {
+            var reEnd = setStart === -1 ? regexOperandEnd(expr, pos) : -1;
+            if (reEnd !== -1) {
+                pos = reEnd;
+                continue;
+            } else if (setStart === -1) {
+                if (
+                    expr[pos] === ')' ||
+                    expr.startsWith('&&', pos) ||
+                    expr.startsWith('||', pos)
+                ) {
+                    break;
+                } else if (expr[pos] === '(') {
+                    if (!SET_OP_END_RE.test(expr.slice(start, pos))) {
+                        fail('unexpected "("', pos);
+                    }
+                    setStart = pos;
+                }
+            } else if (expr[pos] === ')') {
+                setStart = -1;
+            }
+            pos++;
+        }
+        if (setStart !== -1) {
+            fail(
+                format('expected ")" to end the value set at %d', setStart + 1),
+                pos
+            );
+        }
+
+        var text = expr.slice(start, pos);
+        if (text.trim().length === 0) {
+            fail('expected a label selector', start);
+        }
+        var selector;
+        try {
+            selector = parseLabelSelector(text);
+        } catch (selectorErr) {
+            fail(selectorErr.message, start);
+        }
+        return {type: 'selector', selector: selector, pos: start};
+    }
+
+    function parsePrimary() {
+        skipSpace();
+        if (pos >= expr.length) {
+            fail('expected a label selector', pos);
+        } else if (expr[pos] !== '(') {
+            return parseSelector();
+        }
+
+        var open = pos;
+        pos++;
+        var node = parseOr();
+        if (!lookingAt(')')) {
+            fail(format('expected ")" to match "(" at %d', open + 1), pos);
+        }
+        pos++;
+        return node;
+    }
+
+    function parseNot() {
+        skipSpace();
+        if (expr[pos] === '!') {
+            pos++;
+            return {type: 'not', arg: parseNot()};
+        }
+        return parsePrimary();
+    }
+
+    function parseAnd() {
+        var args = [parseNot()];
+        while (lookingAt('&&')) {
+            pos += 2;
+            args.push(parseNot());
+        }
+        return args.length === 1 ? args[0] : {type: 'and', args: args};
+    }
+
+    function parseOr() {
+        var args = [parseAnd()];
+        while (lookingAt('||')) {
+            pos += 2;
+            args.push(parseAnd());
+        }
+        return args.length === 1 ? args[0] : {type: 'or', args: args};
+    }
+
+    var ast = parseOr();
+    skipSpace();
+    if (pos < expr.length) {
+        fail(format('unexpected "%s"', expr[pos]), pos);
+    }
+    return ast;
+}
+
+/*
+ * Return true if the given repo is matched by the given selector expression
+ * AST (as from `parseSelectorExpression`).
+ *
+ * This throws if a numeric comparison selector is used with a label value that
+ * is not a number (see `selectorMatch`).
+ */
+function expressionMatch(repo, node) {
+    switch (node.type) {
+        case 'or':
+            return node.args.some(function anyArg(arg) {
+                return expressionMatch(repo, arg);
+            });
+        case 'and':
+            return node.args.every(function everyArg(arg) {
+                return expressionMatch(repo, arg);
+            });
+        case 'not':
+            return !expressionMatch(repo, node.arg);
+        case 'selector':
+            return selectorMatch(repo, node.selector);
+        default:
+            throw new VError('invalid selector expression node: %j', node);
+    }
+}
+
+/*
+ * Return the label selectors in the given selector expression AST, in order.
+ */
+function expressionSelectors(node) {
+    switch (node.type) {
+        case 'or':
+        case 'and':
+            return [].concat.apply([], node.args.map(expressionSelectors));
+        case 'not':
+            return expressionSelectors(node.arg);
+        case 'selector':
+            return [node.selector];
+        default:
+            throw new VError('invalid selector expression node: %j', node);
+    }
+}
+
+module.exports = {
+    SELECTOR_GLOB_OPTS: SELECTOR_GLOB_OPTS,
+    PSEUDO_LABELS: PSEUDO_LABELS,
+    CLONE_PSEUDO_LABELS: CLONE_PSEUDO_LABELS,
+    isRegexLiteral: isRegexLiteral,
+    parseRegex: parseRegex,
+    regexOperandEnd: regexOperandEnd,
+    nameMatcher: nameMatcher,
+    parseLabelSelector: parseLabelSelector,
+    selectorMatch: selectorMatch,
+    parseSelectorExpression: parseSelectorExpression,
+    expressionMatch: expressionMatch,
+    expressionSelectors: expressionSelectors
+};